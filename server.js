@@ -1,8 +1,10 @@
 const express = require('express');
-const { exec, spawn } = require('child_process');
+const { exec, execFile, spawn } = require('child_process');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
+const net = require('net');
+const tls = require('tls');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
@@ -11,13 +13,214 @@ const crypto = require('crypto');
 let setupMode = false;
 
 // --- Load Config ---
+// PULSE_CONFIG points at an alternate config file (e.g. a second local instance)
+const CONFIG_PATH = process.env.PULSE_CONFIG || path.join(__dirname, 'config.json');
+
+// --- Secrets ---
+// Fields holding credentials: redacted by GET /api/config, and encrypted on disk when config.encryptSecrets is on
+const SECRET_KEYS = ['password', 'passwordHash', 'pass', 'botToken', 'token', 'headers'];
+// Sent back by the settings form for "keep the saved value"
+const SECRET_UNCHANGED = '__unchanged__';
+const SECRET_KEY_FILE = process.env.PULSE_SECRET_KEY_FILE || path.join(__dirname, 'data', 'secret.key');
+let secretKeyCache = null;
+
+function isSecretField(key, parent) {
+  // Slack/Discord webhook URLs embed their token
+  return SECRET_KEYS.includes(key) || (key === 'url' && ['slack', 'discord'].includes(parent?.type));
+}
+
+// Copy of `value` with every secret field replaced by SECRET_UNCHANGED (empty ones stay empty)
+function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    const empty = v == null || v === '' || (typeof v === 'object' && !Object.keys(v).length);
+    out[k] = isSecretField(k, value) && !empty ? SECRET_UNCHANGED : redactSecrets(v);
+  }
+  return out;
+}
+
+// Put saved values back wherever the submitted config says SECRET_UNCHANGED.
+// Array items are paired by `savedIndex` (the settings form's row origin, dropped here), else by
+// id / username / name / url — never by position, which shifts as soon as a row is removed.
+// A placeholder with no saved value to pair with throws (err.status 400, err.path).
+function restoreSecrets(next, prev, at = '') {
+  if (Array.isArray(next)) {
+    const prevArr = Array.isArray(prev) ? prev : [];
+    next.forEach((item, i) => {
+      if (!item || typeof item !== 'object') return;
+      let match;
+      if (Number.isInteger(item.savedIndex)) {
+        const saved = prevArr[item.savedIndex];
+        if (saved && saved.type === item.type) match = saved;
+      } else {
+        match = prevArr.find(p => p && (
+          (item.id && p.id === item.id) || (item.username && p.username === item.username) || (item.name && p.name === item.name)
+          || (item.url && item.url !== SECRET_UNCHANGED && p.url === item.url)
+        ));
+      }
+      delete item.savedIndex;
+      restoreSecrets(item, match, `${at}[${i}]`);
+    });
+    return next;
+  }
+  if (!next || typeof next !== 'object') return next;
+  for (const [k, v] of Object.entries(next)) {
+    const path = at ? `${at}.${k}` : k;
+    if (v === SECRET_UNCHANGED) {
+      if (prev?.[k] === undefined) {
+        const err = new Error(`No saved value for ${path} — enter it again`);
+        err.status = 400;
+        err.path = path;
+        throw err;
+      }
+      next[k] = prev[k];
+    } else if (v && typeof v === 'object') {
+      restoreSecrets(v, prev?.[k], path);
+    }
+  }
+  return next;
+}
+
+// Apply fn to every secret string (including the values inside secret objects such as webhook headers)
+function mapSecrets(value, fn, parent, key) {
+  if (Array.isArray(value)) return value.map(v => mapSecrets(v, fn));
+  if (typeof value === 'string') return key && isSecretField(key, parent) ? fn(value) : value;
+  if (!value || typeof value !== 'object') return value;
+  const secretObject = key && isSecretField(key, parent);
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = secretObject && typeof v === 'string' ? fn(v) : mapSecrets(v, fn, value, k);
+  }
+  return out;
+}
+
+// 32-byte AES key kept next to the data; created on first encrypt, readable by the owner only
+function getSecretKey(create = false) {
+  if (secretKeyCache) return secretKeyCache;
+  try {
+    secretKeyCache = Buffer.from(fs.readFileSync(SECRET_KEY_FILE, 'utf8').trim(), 'hex');
+  } catch (err) {
+    if (!create) throw new Error(`key file not readable: ${err.code || err.message}`);
+    fs.mkdirSync(path.dirname(SECRET_KEY_FILE), { recursive: true });
+    secretKeyCache = crypto.randomBytes(32);
+    fs.writeFileSync(SECRET_KEY_FILE, secretKeyCache.toString('hex') + '\n', { mode: 0o600 });
+    console.log(`🔑 Created secret key ${SECRET_KEY_FILE}`);
+  }
+  if (secretKeyCache.length !== 32) throw new Error(`Invalid secret key in ${SECRET_KEY_FILE}`);
+  return secretKeyCache;
+}
+
+// "enc:v1:<base64 iv|tag|ciphertext>" (AES-256-GCM)
+function encryptSecret(plain) {
+  if (!plain || plain.startsWith('enc:v1:')) return plain;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSecretKey(true), iv);
+  const ct = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return 'enc:v1:' + Buffer.concat([iv, cipher.getAuthTag(), ct]).toString('base64');
+}
+
+function decryptSecret(value) {
+  if (!value.startsWith('enc:v1:')) return value;
+  const buf = Buffer.from(value.slice(7), 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretKey(), buf.subarray(0, 12));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+// Every config write goes through here so secrets are encrypted when the store is enabled,
+// and each written version lands in the config history. `meta` = { author, action, rollbackOf }
+async function writeConfigFile(cfg, meta = {}) {
+  const out = cfg.encryptSecrets ? mapSecrets(cfg, encryptSecret) : cfg;
+  await fs.promises.writeFile(CONFIG_PATH, JSON.stringify(out, null, 2));
+  await recordConfigVersion(out, meta).catch(err => console.error('Config history write failed:', err.message));
+}
+
+// --- Config history ---
+// data/config-history/<id>.json = { id, ts, file, author, action, rollbackOf?, config } with the config
+// exactly as written to disk (so secrets stay encrypted when encryptSecrets is on). Ids sort by time;
+// `file` keeps instances started with a different PULSE_CONFIG apart.
+const CONFIG_HISTORY_DIR = path.join(__dirname, 'data', 'config-history');
+
+async function listConfigVersions() {
+  let files = [];
+  try {
+    files = (await fs.promises.readdir(CONFIG_HISTORY_DIR)).filter(f => f.endsWith('.json')).sort();
+  } catch {}
+  const versions = [];
+  for (const f of files) {
+    try {
+      const v = JSON.parse(await fs.promises.readFile(path.join(CONFIG_HISTORY_DIR, f), 'utf8'));
+      if (v.file === CONFIG_PATH) versions.push(v);
+    } catch {}
+  }
+  return versions; // oldest first
+}
+
+async function recordConfigVersion(written, { author = null, action = 'save', rollbackOf } = {}) {
+  await fs.promises.mkdir(CONFIG_HISTORY_DIR, { recursive: true });
+  const ts = Date.now();
+  const id = `${ts}-${crypto.randomBytes(3).toString('hex')}`;
+  const entry = { id, ts, file: CONFIG_PATH, author, action, ...(rollbackOf && { rollbackOf }), config: written };
+  await fs.promises.writeFile(path.join(CONFIG_HISTORY_DIR, `${id}.json`), JSON.stringify(entry, null, 2), { mode: 0o600 });
+
+  // Keep the newest configHistoryLimit versions
+  const versions = await listConfigVersions();
+  const keep = written.configHistoryLimit || 20;
+  for (const v of versions.slice(0, Math.max(0, versions.length - keep))) {
+    await fs.promises.unlink(path.join(CONFIG_HISTORY_DIR, `${v.id}.json`)).catch(() => {});
+  }
+  return entry;
+}
+
+// Start the history with the config Pulse booted from, so the first Settings save can be undone
+async function ensureConfigBaseline() {
+  if (setupMode || (await listConfigVersions()).length) return;
+  try {
+    const raw = JSON.parse(await fs.promises.readFile(CONFIG_PATH, 'utf8'));
+    await recordConfigVersion(raw, { action: 'baseline' });
+  } catch (err) {
+    console.error('Config history baseline failed:', err.message);
+  }
+}
+
+// History entries keep ciphertext; decrypt for diffs and rollbacks
+function readableConfig(stored) {
+  try {
+    return mapSecrets(stored, decryptSecret);
+  } catch {
+    return stored;
+  }
+}
+
+// Flat list of what changed between two configs: [{ path, op: added|removed|changed, before, after }].
+// Secret values are masked — a changed token shows up, its value doesn't.
+const MASKED = '••••••';
+function diffConfig(a, b, at = '', parent = null, key = null, out = []) {
+  const secret = key != null && isSecretField(key, parent);
+  const isObj = v => v && typeof v === 'object' && !Array.isArray(v);
+  if (!secret && isObj(a) && isObj(b)) {
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      diffConfig(a[k], b[k], at ? `${at}.${k}` : k, k in b ? b : a, k, out);
+    }
+  } else if (!secret && Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) diffConfig(a[i], b[i], `${at}[${i}]`, b, null, out);
+  } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+    const show = v => (v === undefined ? undefined : secret ? MASKED : mapSecrets(v, () => MASKED));
+    out.push({ path: at, op: a === undefined ? 'added' : b === undefined ? 'removed' : 'changed', before: show(a), after: show(b) });
+  }
+  return out;
+}
+
 async function loadConfig() {
-  const configPath = path.join(__dirname, 'config.json');
+  const configPath = CONFIG_PATH;
   const examplePath = path.join(__dirname, 'config.example.json');
+  let cfg;
   try {
     const raw = await fs.promises.readFile(configPath, 'utf8');
+    cfg = JSON.parse(raw);
     setupMode = false;
-    return JSON.parse(raw);
   } catch {
     setupMode = true;
     console.log('⚙️  No config.json found — running in setup mode');
@@ -29,23 +232,40 @@ async function loadConfig() {
       return { port: 6682, bots: [], systemdServices: [], dockerContainers: 'auto', weatherLocation: 'London', networkIface: 'auto', auth: { enabled: false } };
     }
   }
+  try {
+    cfg = mapSecrets(cfg, decryptSecret);
+  } catch (err) {
+    console.error(`Failed to decrypt secrets (${err.message}) — check ${SECRET_KEY_FILE}`);
+    cfg = mapSecrets(cfg, v => (v.startsWith('enc:v1:') ? '' : v));
+  }
+  // Running on a half-valid config breaks the dashboard or alert worker later — refuse to start instead
+  const errors = validateConfig(cfg);
+  if (errors.length) {
+    console.error(`❌ ${configPath} is invalid:`);
+    errors.forEach(e => console.error(`   ${e.path}: ${e.message}`));
+    process.exit(1);
+  }
+  return cfg;
 }
 
 // --- Auto-detect network interface ---
 async function detectNetworkIface() {
   try {
-    const raw = await fs.promises.readFile('/proc/net/dev', 'utf8');
-    const lines = raw.split('\n').slice(2).filter(Boolean);
-    for (const line of lines) {
-      const name = line.trim().split(':')[0].trim();
-      if (name && name !== 'lo') return name;
-    }
+    const name = (await listNetworkIfaces()).find(n => n !== 'lo');
+    if (name) return name;
   } catch (err) {
     console.error('detectNetworkIface failed:', err.message);
   }
   return 'eth0';
 }
 
+async function listNetworkIfaces() {
+  const raw = await fs.promises.readFile('/proc/net/dev', 'utf8');
+  return raw.split('\n').slice(2).filter(Boolean)
+    .map(line => line.trim().split(':')[0].trim())
+    .filter(Boolean);
+}
+
 let CONFIG = {};
 
 // ============================================================
@@ -81,46 +301,317 @@ async function getTelegramCredentials() {
 }
 
 // T02 — Send Telegram message
-async function sendTelegramMessage(text) {
-  try {
-    const creds = await getTelegramCredentials();
-    if (!creds) { console.error('sendTelegramMessage: no credentials'); return false; }
-    const body = JSON.stringify({ chat_id: creds.chatId, text, parse_mode: 'HTML' });
-    await new Promise((resolve, reject) => {
-      const req = https.request({
-        hostname: 'api.telegram.org',
-        path: `/bot${creds.botToken}/sendMessage`,
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
-      }, (res) => {
-        res.resume();
-        resolve(res.statusCode);
-      });
-      req.setTimeout(8000, () => req.destroy(new Error('timeout')));
-      req.on('error', reject);
-      req.write(body);
-      req.end();
-    });
-    return true;
-  } catch (err) {
-    console.error('sendTelegramMessage failed:', err.message);
-    return false;
+async function sendTelegramMessage(text, creds) {
+  if (!creds) creds = await getTelegramCredentials();
+  if (!creds) throw new Error('No Telegram credentials found. Configure in settings or set up OpenClaw Telegram.');
+  await postJson(`https://api.telegram.org/bot${creds.botToken}/sendMessage`, { chat_id: creds.chatId, text, parse_mode: 'HTML' });
+  return creds.source;
+}
+
+// --- Notification channels ---
+// config.alerts.channels: [{ id, type, ...settings }]. Rules (and budget) route to
+// channel ids via `channels: [...]`; no list means every channel.
+const CHANNEL_TYPES = ['telegram', 'webhook', 'slack', 'discord', 'ntfy', 'email'];
+
+function getAlertChannels() {
+  const channels = CONFIG.alerts?.channels;
+  if (!Array.isArray(channels) || channels.length === 0) {
+    // Nothing configured — keep the original Telegram-only behaviour
+    return [{ id: 'telegram', type: 'telegram' }];
+  }
+  return channels
+    .map((c, i) => ({ ...c, id: c?.id || `${c?.type}-${i + 1}` }))
+    .filter(c => CHANNEL_TYPES.includes(c.type));
+}
+
+function resolveChannels(ids) {
+  const all = getAlertChannels();
+  if (!Array.isArray(ids) || ids.length === 0) return all;
+  return all.filter(c => ids.includes(c.id));
+}
+
+// Text from outside (log lines) going into an alert message
+function htmlEscape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Alert messages are written as Telegram HTML; convert for the other channels
+function formatMessage(text, style) {
+  const bold = { slack: '*$1*', discord: '**$1**' }[style] || '$1';
+  return text
+    .replace(/<b>(.*?)<\/b>/g, bold)
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Deliver one message to one channel. Throws on failure; returns a short source label.
+async function deliverToChannel(channel, text, meta = {}) {
+  const plain = formatMessage(text, 'plain');
+  const [title, ...rest] = plain.split('\n');
+  switch (channel.type) {
+    case 'telegram': {
+      const creds = channel.botToken && channel.chatId
+        ? { botToken: channel.botToken, chatId: channel.chatId, source: 'manual' }
+        : null;
+      return sendTelegramMessage(text, creds);
+    }
+    case 'webhook':
+      if (!channel.url) throw new Error('Webhook URL is required');
+      await postJson(channel.url, {
+        event: meta.event || 'alert',
+        server: CONFIG.label || 'Server',
+        title,
+        message: rest.join('\n'),
+        text: plain,
+        rule: meta.rule || null,
+        ...(meta.lines && { lines: meta.lines }),
+        timestamp: Date.now()
+      }, channel.headers || {});
+      return 'webhook';
+    case 'slack':
+      if (!channel.url) throw new Error('Slack webhook URL is required');
+      await postJson(channel.url, { text: formatMessage(text, 'slack') });
+      return 'slack';
+    case 'discord':
+      if (!channel.url) throw new Error('Discord webhook URL is required');
+      await postJson(channel.url, { content: formatMessage(text, 'discord') });
+      return 'discord';
+    case 'ntfy': {
+      if (!channel.topic) throw new Error('ntfy topic is required');
+      const server = (channel.server || 'https://ntfy.sh').replace(/\/+$/, '');
+      const headers = channel.token ? { Authorization: `Bearer ${channel.token}` } : {};
+      await postJson(server, {
+        topic: channel.topic,
+        title,
+        message: rest.join('\n') || title,
+        priority: meta.event === 'alert' ? (channel.priority || 4) : 3,
+        tags: [meta.event === 'recovery' ? 'white_check_mark' : meta.event === 'alert' ? 'rotating_light' : 'bell']
+      }, headers);
+      return 'ntfy';
+    }
+    case 'email':
+      await sendSmtpMail(channel, title, rest.join('\n'));
+      return 'email';
+    default:
+      throw new Error(`Unknown channel type: ${channel.type}`);
+  }
+}
+
+async function sendToChannels(channels, text, meta = {}) {
+  return Promise.all(channels.map(async (ch) => {
+    try {
+      const source = await deliverToChannel(ch, text, meta);
+      return { id: ch.id, type: ch.type, ok: true, source };
+    } catch (err) {
+      console.error(`notify(${ch.id}) failed:`, err.message);
+      return { id: ch.id, type: ch.type, ok: false, error: err.message };
+    }
+  }));
+}
+
+// Send an alert/recovery/budget message to the routed channels (all when unrouted); `lines` (log_match hits)
+// also go to webhooks as a list
+function notify(text, { event = 'alert', channels = null, rule = null, lines = null } = {}) {
+  return sendToChannels(resolveChannels(channels), text, { event, rule, lines });
+}
+
+// --- SMTP ---
+// Minimal client: EHLO, STARTTLS when offered, AUTH PLAIN/LOGIN, one plain-text message.
+function smtpReader(initialSocket) {
+  let socket = null, buf = '', lines = [], error = null;
+  const replies = [], pending = [];
+
+  function flush() {
+    while (pending.length && (replies.length || error)) {
+      const p = pending.shift();
+      if (replies.length) p.resolve(replies.shift());
+      else p.reject(error);
+    }
+  }
+  function onData(chunk) {
+    buf += chunk.toString();
+    let idx;
+    while ((idx = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, idx).replace(/\r$/, '');
+      buf = buf.slice(idx + 1);
+      lines.push(line);
+      if (!/^\d{3}-/.test(line)) {
+        replies.push({ code: parseInt(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') });
+        lines = [];
+      }
+    }
+    flush();
+  }
+  function onError(err) { error = error || err; flush(); }
+  function onClose() { onError(new Error('SMTP connection closed')); }
+
+  function detach() {
+    if (!socket) return;
+    socket.removeListener('data', onData);
+    socket.removeListener('error', onError);
+    socket.removeListener('close', onClose);
+  }
+  function attach(s) {
+    detach();
+    socket = s;
+    buf = '';
+    s.on('data', onData);
+    s.on('error', onError);
+    s.on('close', onClose);
+    s.setTimeout(10000, () => s.destroy(new Error('SMTP timeout')));
+  }
+  async function expect(codes) {
+    const reply = await new Promise((resolve, reject) => { pending.push({ resolve, reject }); flush(); });
+    if (![].concat(codes).includes(reply.code)) throw new Error(`SMTP ${reply.code}: ${reply.text}`);
+    return reply;
+  }
+  function command(line, codes) {
+    socket.write(line + '\r\n');
+    return expect(codes);
+  }
+
+  attach(initialSocket);
+  return { attach, detach, expect, command };
+}
+
+async function sendSmtpMail(channel, subject, body) {
+  const host = channel.host;
+  if (!host) throw new Error('SMTP host is required');
+  const to = [].concat(channel.to || []).flatMap(s => String(s).split(',')).map(s => s.trim()).filter(Boolean);
+  if (to.length === 0) throw new Error('SMTP recipient is required');
+  const port = parseInt(channel.port) || (channel.secure ? 465 : 587);
+  const from = channel.from || channel.user || `pulse@${os.hostname()}`;
+  const tlsOpts = { servername: host, rejectUnauthorized: channel.rejectUnauthorized !== false };
+
+  let socket = channel.secure ? tls.connect({ host, port, ...tlsOpts }) : net.connect({ host, port });
+  const smtp = smtpReader(socket);
+  try {
+    await smtp.expect(220);
+    let ehlo = await smtp.command(`EHLO ${os.hostname()}`, 250);
+    if (!channel.secure && channel.starttls !== false && /^STARTTLS/mi.test(ehlo.text)) {
+      await smtp.command('STARTTLS', 220);
+      smtp.detach();
+      socket = tls.connect({ socket, ...tlsOpts });
+      smtp.attach(socket);
+      ehlo = await smtp.command(`EHLO ${os.hostname()}`, 250);
+    }
+    if (channel.user) {
+      if (/^AUTH\b.*\bPLAIN\b/mi.test(ehlo.text)) {
+        await smtp.command('AUTH PLAIN ' + Buffer.from(`\0${channel.user}\0${channel.pass || ''}`).toString('base64'), 235);
+      } else {
+        await smtp.command('AUTH LOGIN', 334);
+        await smtp.command(Buffer.from(channel.user).toString('base64'), 334);
+        await smtp.command(Buffer.from(channel.pass || '').toString('base64'), 235);
+      }
+    }
+    await smtp.command(`MAIL FROM:<${from}>`, 250);
+    for (const rcpt of to) await smtp.command(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await smtp.command('DATA', 354);
+    const message = [
+      `From: Pulse <${from}>`,
+      `To: ${to.join(', ')}`,
+      `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      ...body.split('\n').map(l => (l.startsWith('.') ? '.' + l : l))
+    ].join('\r\n');
+    await smtp.command(message + '\r\n.', 250);
+    await smtp.command('QUIT', 221).catch(() => {});
+  } finally {
+    socket.destroy();
   }
 }
 
+// Rule metrics and the rule fields each one needs (enforced by the config schema)
+const ALERT_METRICS = {
+  cpu: ['threshold'],
+  ram: ['threshold'],
+  disk: ['threshold'],
+  service_down: ['name'],
+  container_down: ['name'],
+  container_unhealthy: ['name'],
+  container_restart_loop: ['name'],
+  bot_offline: ['name'],
+  net_quota: ['threshold'],
+  temp: ['threshold'],
+  probe_down: ['name'],
+  probe_slow: ['name', 'threshold'],
+  cert_expiry: ['threshold'],
+  log_match: ['source', 'name', 'pattern']
+};
+// Optional rule fields that only mean something for some metrics
+const RULE_SCOPED_FIELDS = {
+  mount: 'disk', iface: 'net_quota', period: 'net_quota', direction: 'net_quota', sensor: 'temp',
+  window: ['container_restart_loop', 'log_match'], source: 'log_match', pattern: 'log_match', ignoreCase: 'log_match'
+};
+// container_restart_loop defaults: `threshold` restarts within `window` minutes
+const RESTART_LOOP_DEFAULTS = { threshold: 3, window: 10 };
+// log_match defaults: `threshold` matching lines within `window` minutes; alerts carry the last LOG_EXCERPT_LINES of them
+const LOG_MATCH_DEFAULTS = { threshold: 1, window: 5 };
+const LOG_EXCERPT_LINES = 5;
+// Rules that can wait for `duration` seconds above the threshold before firing
+const DURATION_METRICS = ['cpu', 'ram', 'disk', 'temp', 'probe_slow'];
+
+// net_quota: bytes moved this day / billing month on the rule's interface (default networkIface)
+function quotaBytes(rule, snapshot) {
+  const t = snapshot?.netTotals?.[rule.iface || snapshot.iface]?.[rule.period === 'day' ? 'day' : 'month'];
+  if (!t) return null;
+  return rule.direction === 'rx' ? t.rx : rule.direction === 'tx' ? t.tx : t.rx + t.tx;
+}
+
+// log_match: hits are kept per source, unit/container, pattern and case flag, so identical rules share them
+function logRuleKey(rule) {
+  return JSON.stringify([rule.source, rule.name, rule.pattern, !!rule.ignoreCase]);
+}
+
+function logMatchesWithin(rule, snapshot) {
+  const since = Date.now() - (rule.window ?? LOG_MATCH_DEFAULTS.window) * 60 * 1000;
+  return (snapshot?.logMatches?.get(logRuleKey(rule)) || []).filter(m => m.ts >= since);
+}
+
+// cert_expiry: certificates of the rule's entry (all entries without a name) at or under `threshold` days left,
+// soonest first, then those that couldn't be checked — an unreadable file or unreachable endpoint could be expiring unseen
+function expiringCerts(rule, snapshot) {
+  return (snapshot?.certificates || [])
+    .filter(c => (!rule.name || c.name === rule.name) && (c.error || certDaysLeft(c) <= rule.threshold))
+    .sort((a, b) => (a.error ? 1 : 0) - (b.error ? 1 : 0) || a.validTo - b.validTo);
+}
+
 // T05 — Evaluate a single rule against snapshot
 function evaluateRule(rule, snapshot) {
   if (!snapshot) return false;
   switch (rule.metric) {
     case 'cpu':    return (snapshot.cpu ?? 0) >= rule.threshold;
     case 'ram':    return (snapshot.ram ?? 0) >= rule.threshold;
-    case 'disk':   return (snapshot.disk ?? 0) >= rule.threshold;
+    case 'disk':   return ((rule.mount ? snapshot.disks?.[rule.mount] : snapshot.disk) ?? 0) >= rule.threshold;
     case 'service_down':
       return (snapshot.services || []).some(s => s.name === rule.name && !s.active);
     case 'container_down':
       return (snapshot.docker || []).some(c => c.name === rule.name && !c.running);
+    case 'container_unhealthy':
+      return (snapshot.docker || []).some(c => c.name === rule.name && c.health === 'unhealthy');
+    case 'container_restart_loop':
+      return restartsWithin(snapshot.restartLog?.get(rule.name), rule.window ?? RESTART_LOOP_DEFAULTS.window) >= (rule.threshold ?? RESTART_LOOP_DEFAULTS.threshold);
     case 'bot_offline':
       return (snapshot.bots || []).some(b => b.name === rule.name && !b.online);
+    case 'net_quota':
+      return (quotaBytes(rule, snapshot) ?? 0) / 1e9 >= rule.threshold;
+    case 'temp':   return ((rule.sensor ? snapshot.temps?.[rule.sensor] : snapshot.cpuTemp) ?? -Infinity) >= rule.threshold;
+    case 'probe_down':
+      return snapshot.probes?.get(rule.name)?.last?.up === false;
+    case 'probe_slow': {
+      // A probe that is down is probe_down's business, not slow
+      const last = snapshot.probes?.get(rule.name)?.last;
+      return !!last?.up && last.ms >= rule.threshold;
+    }
+    case 'cert_expiry':
+      return expiringCerts(rule, snapshot).length > 0;
+    case 'log_match':
+      return logMatchesWithin(rule, snapshot).length >= (rule.threshold ?? LOG_MATCH_DEFAULTS.threshold);
     default: return false;
   }
 }
@@ -129,10 +620,24 @@ function ruleLabel(rule) {
   switch (rule.metric) {
     case 'cpu':    return `CPU above ${rule.threshold}%`;
     case 'ram':    return `RAM above ${rule.threshold}%`;
-    case 'disk':   return `Disk above ${rule.threshold}%`;
+    case 'disk':   return rule.mount ? `Disk <b>${rule.mount}</b> above ${rule.threshold}%` : `Disk above ${rule.threshold}%`;
     case 'service_down':    return `Service <b>${rule.name}</b> is down`;
     case 'container_down':  return `Container <b>${rule.name}</b> is down`;
+    case 'container_unhealthy': return `Container <b>${rule.name}</b> is unhealthy`;
+    case 'container_restart_loop':
+      return `Container <b>${rule.name}</b> restarted ${rule.threshold ?? RESTART_LOOP_DEFAULTS.threshold}+ times in ${rule.window ?? RESTART_LOOP_DEFAULTS.window} min`;
     case 'bot_offline':     return `Bot <b>${rule.name}</b> is offline`;
+    case 'net_quota': {
+      const what = { rx: 'download', tx: 'upload' }[rule.direction] || 'traffic';
+      return `${rule.period === 'day' ? 'Daily' : 'Monthly'} ${what}${rule.iface ? ` on <b>${rule.iface}</b>` : ''} above ${rule.threshold} GB`;
+    }
+    case 'temp':   return rule.sensor ? `Temperature <b>${rule.sensor}</b> above ${rule.threshold}°C` : `CPU temperature above ${rule.threshold}°C`;
+    case 'probe_down': return `Probe <b>${rule.name}</b> is down`;
+    case 'probe_slow': return `Probe <b>${rule.name}</b> response time above ${rule.threshold} ms`;
+    case 'cert_expiry':
+      return `${rule.name ? `Certificate <b>${rule.name}</b>` : 'A certificate'} expires within ${rule.threshold} days or can't be checked`;
+    case 'log_match':
+      return `${rule.source === 'docker' ? 'Container' : 'Service'} <b>${rule.name}</b> logged /${htmlEscape(rule.pattern)}/${rule.ignoreCase ? 'i' : ''} ${rule.threshold ?? LOG_MATCH_DEFAULTS.threshold}+ times in ${rule.window ?? LOG_MATCH_DEFAULTS.window} min`;
     default: return rule.metric;
   }
 }
@@ -141,76 +646,109 @@ function ruleValue(rule, snapshot) {
   switch (rule.metric) {
     case 'cpu':   return `currently ${snapshot?.cpu ?? '?'}%`;
     case 'ram':   return `currently ${snapshot?.ram ?? '?'}%`;
-    case 'disk':  return `currently ${snapshot?.disk ?? '?'}%`;
+    case 'disk':  return `currently ${(rule.mount ? snapshot?.disks?.[rule.mount] : snapshot?.disk) ?? '?'}%`;
+    case 'net_quota': {
+      const bytes = quotaBytes(rule, snapshot);
+      return `currently ${bytes == null ? '?' : (bytes / 1e9).toFixed(1)} GB`;
+    }
+    case 'temp':  return `currently ${(rule.sensor ? snapshot?.temps?.[rule.sensor] : snapshot?.cpuTemp) ?? '?'}°C`;
+    case 'container_restart_loop':
+      return `(${restartsWithin(snapshot?.restartLog?.get(rule.name), rule.window ?? RESTART_LOOP_DEFAULTS.window)} restarts, ${(snapshot?.docker || []).find(c => c.name === rule.name)?.restarts ?? '?'} total)`;
+    case 'probe_down': {
+      const error = snapshot?.probes?.get(rule.name)?.last?.error;
+      return error ? `(${error})` : '';
+    }
+    case 'probe_slow': return `currently ${snapshot?.probes?.get(rule.name)?.last?.ms ?? '?'} ms`;
+    case 'cert_expiry': {
+      const certs = expiringCerts(rule, snapshot);
+      const state = c => (c.error ? c.error : certDaysLeft(c) < 0 ? 'expired' : `${certDaysLeft(c)} days`);
+      return certs.length ? `(${certs.map(c => `${c.subject || c.source}: ${state(c)}`).join(', ')})` : '';
+    }
+    case 'log_match': return `(${logMatchesWithin(rule, snapshot).length} matches)`;
     default: return '';
   }
 }
 
-// T03/T06 — Background alert worker
-function startAlertWorker() {
-  const INTERVAL = 30 * 1000;
-  const STEP_SECONDS = 30;
+// Lines attached to an alert — the latest log_match hits; null for other rules
+function ruleExcerpt(rule, snapshot) {
+  if (rule.metric !== 'log_match') return null;
+  return logMatchesWithin(rule, snapshot).slice(-LOG_EXCERPT_LINES).map(m => m.line);
+}
 
-  setInterval(async () => {
-    const rules = CONFIG.alerts?.rules;
-    if (!rules?.length || !lastMetricSnapshot) return;
+// T03/T06 — Background alert worker
+const ALERT_INTERVAL = 30 * 1000;
 
-    const cooldownMs = (CONFIG.alerts?.cooldownMinutes ?? 15) * 60 * 1000;
-    const serverLabel = CONFIG.label || 'Server';
-    const now = Date.now();
-    const timeStr = new Date().toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+// Check the rules (those passing `only`, or all) against the latest snapshot: fire, resolve, notify.
+// Duration accumulators step 30 s per call, so rules with a duration are only checked from the worker's interval.
+function evaluateAlerts(only = null) {
+  const STEP_SECONDS = ALERT_INTERVAL / 1000;
+  const rules = CONFIG.alerts?.rules;
+  if (!rules?.length || !lastMetricSnapshot) return;
 
-    for (let i = 0; i < rules.length; i++) {
-      const rule = rules[i];
-      if (!alertState.has(i)) alertState.set(i, { status: 'idle', firedAt: null, resolvedAt: null, accumulator: 0 });
-      const state = alertState.get(i);
-      const triggered = evaluateRule(rule, lastMetricSnapshot);
-
-      // Duration accumulator for threshold rules
-      if (['cpu', 'ram', 'disk'].includes(rule.metric) && rule.duration) {
-        state.accumulator = triggered ? state.accumulator + STEP_SECONDS : 0;
-        const shouldFire = state.accumulator >= (rule.duration || 0);
-        if (!shouldFire && state.status === 'idle') continue;
-        if (!shouldFire && state.status === 'firing') {
-          // Resolved
-          state.status = 'resolved';
-          state.resolvedAt = now;
-          const entry = alertHistory.find(e => e.ruleIndex === i && e.active);
-          if (entry) { entry.active = false; entry.resolvedAt = now; }
-          const val = ruleValue(rule, lastMetricSnapshot);
-          sendTelegramMessage(`✅ <b>Pulse Recovered</b> — ${serverLabel}\n${ruleLabel(rule).replace('above', 'back to normal')} ${val}\n${timeStr}`).catch(() => {});
-          continue;
-        }
-        if (shouldFire && state.status !== 'firing') {
-          if (state.firedAt && now - state.firedAt < cooldownMs) continue;
-          state.status = 'firing';
-          state.firedAt = now;
-          const val = ruleValue(rule, lastMetricSnapshot);
-          const msg = `🔴 <b>Pulse Alert</b> — ${serverLabel}\n${ruleLabel(rule)} ${val}\n${timeStr}`;
-          pushHistory({ ruleIndex: i, metric: rule.metric, message: msg, firedAt: now });
-          sendTelegramMessage(msg).catch(() => {});
-        }
-      } else {
-        // Binary rules (service_down, container_down, bot_offline)
-        if (triggered && state.status !== 'firing') {
-          if (state.firedAt && now - state.firedAt < cooldownMs) continue;
-          state.status = 'firing';
-          state.firedAt = now;
-          const msg = `🔴 <b>Pulse Alert</b> — ${serverLabel}\n${ruleLabel(rule)}\n${timeStr}`;
-          pushHistory({ ruleIndex: i, metric: rule.metric, message: msg, firedAt: now });
-          sendTelegramMessage(msg).catch(() => {});
-        } else if (!triggered && state.status === 'firing') {
-          state.status = 'resolved';
-          state.resolvedAt = now;
-          const entry = alertHistory.find(e => e.ruleIndex === i && e.active);
-          if (entry) { entry.active = false; entry.resolvedAt = now; }
-          sendTelegramMessage(`✅ <b>Pulse Recovered</b> — ${serverLabel}\n${ruleLabel(rule)} resolved\n${timeStr}`).catch(() => {});
-        }
+  const cooldownMs = (CONFIG.alerts?.cooldownMinutes ?? 15) * 60 * 1000;
+  const serverLabel = CONFIG.label || 'Server';
+  const now = Date.now();
+  const timeStr = new Date().toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (only && !only(rule)) continue;
+    if (!alertState.has(i)) alertState.set(i, { status: 'idle', firedAt: null, resolvedAt: null, accumulator: 0 });
+    const state = alertState.get(i);
+    const triggered = evaluateRule(rule, lastMetricSnapshot);
+
+    // Duration accumulator for threshold rules
+    if (DURATION_METRICS.includes(rule.metric) && rule.duration) {
+      state.accumulator = triggered ? state.accumulator + STEP_SECONDS : 0;
+      const shouldFire = state.accumulator >= (rule.duration || 0);
+      if (!shouldFire && state.status === 'idle') continue;
+      if (!shouldFire && state.status === 'firing') {
+        // Resolved
+        state.status = 'resolved';
+        state.resolvedAt = now;
+        const entry = alertHistory.find(e => e.ruleIndex === i && e.active);
+        if (entry) { entry.active = false; entry.resolvedAt = now; }
+        const val = ruleValue(rule, lastMetricSnapshot);
+        notify(`✅ <b>Pulse Recovered</b> — ${serverLabel}\n${ruleLabel(rule).replace('above', 'back to normal')} ${val}\n${timeStr}`, { event: 'recovery', channels: rule.channels, rule }).catch(() => {});
+        continue;
+      }
+      if (shouldFire && state.status !== 'firing') {
+        if (state.firedAt && now - state.firedAt < cooldownMs) continue;
+        state.status = 'firing';
+        state.firedAt = now;
+        const val = ruleValue(rule, lastMetricSnapshot);
+        const msg = `🔴 <b>Pulse Alert</b> — ${serverLabel}\n${ruleLabel(rule)} ${val}\n${timeStr}`;
+        pushHistory({ ruleIndex: i, metric: rule.metric, message: msg, firedAt: now });
+        notify(msg, { event: 'alert', channels: rule.channels, rule }).catch(() => {});
+      }
+    } else {
+      // Binary rules (service_down, container_*, bot_offline, net_quota, probe_down, cert_expiry, log_match, thresholds without duration)
+      if (triggered && state.status !== 'firing') {
+        if (state.firedAt && now - state.firedAt < cooldownMs) continue;
+        state.status = 'firing';
+        state.firedAt = now;
+        const val = ruleValue(rule, lastMetricSnapshot);
+        const lines = ruleExcerpt(rule, lastMetricSnapshot);
+        const excerpt = lines ? `\n<pre>${htmlEscape(lines.join('\n'))}</pre>` : '';
+        const msg = `🔴 <b>Pulse Alert</b> — ${serverLabel}\n${ruleLabel(rule)}${val ? ' ' + val : ''}${excerpt}\n${timeStr}`;
+        pushHistory({ ruleIndex: i, metric: rule.metric, message: msg, firedAt: now, ...(lines && { lines }) });
+        notify(msg, { event: 'alert', channels: rule.channels, rule, lines }).catch(() => {});
+      } else if (!triggered && state.status === 'firing') {
+        state.status = 'resolved';
+        state.resolvedAt = now;
+        const entry = alertHistory.find(e => e.ruleIndex === i && e.active);
+        if (entry) { entry.active = false; entry.resolvedAt = now; }
+        notify(`✅ <b>Pulse Recovered</b> — ${serverLabel}\n${ruleLabel(rule)} resolved\n${timeStr}`, { event: 'recovery', channels: rule.channels, rule }).catch(() => {});
       }
     }
-  }, INTERVAL);
+  }
+}
 
+function startAlertWorker() {
+  setInterval(evaluateAlerts, ALERT_INTERVAL);
   console.log('🔔 Alert worker started');
+  // Log followers start once there is a snapshot for their rules to be checked against
+  getLatestMetrics().catch(() => {}).then(syncLogWatchers);
 }
 
 // T07 — Push to alert history (ring buffer, max 20)
@@ -222,226 +760,2015 @@ function pushHistory(entry) {
 const app = express();
 app.use(express.json());
 
-// --- Auth Middleware (skips /setup, /api/setup, /api/health, /api/detect/*) ---
-app.use((req, res, next) => {
-  const publicPaths = ['/setup', '/api/setup', '/api/health', '/api/alerts/test'];
-  const isPublic = publicPaths.includes(req.path) || req.path.startsWith('/api/detect');
-  if (isPublic) return next();
-  if (!CONFIG.auth || !CONFIG.auth.enabled) return next();
-  const header = req.headers.authorization || '';
-  const b64 = header.startsWith('Basic ') ? header.slice(6) : '';
-  const decoded = Buffer.from(b64, 'base64').toString();
-  const colon = decoded.indexOf(':');
-  const user = colon >= 0 ? decoded.slice(0, colon) : '';
-  const pass = colon >= 0 ? decoded.slice(colon + 1) : '';
-  if (user === CONFIG.auth.username && pass === CONFIG.auth.password) return next();
-  res.set('WWW-Authenticate', 'Basic realm="Pulse"');
-  res.status(401).send('Unauthorized');
-});
+// --- Users + Roles ---
+// config.auth: { enabled, users: [{ username, role, passwordHash }] }
+// Roles are ranked: each one can do everything the roles below it can.
+const ROLES = ['viewer', 'operator', 'admin'];
 
-// --- Setup Mode Redirect Middleware ---
-app.use((req, res, next) => {
-  if (!setupMode) return next();
-  const allowed = ['/setup', '/api/setup', '/api/health'];
-  const isAllowed = allowed.includes(req.path) || req.path.startsWith('/api/detect');
-  if (isAllowed) return next();
-  // Allow static assets for setup page
-  if (req.path.match(/\.(js|css|ico|png|svg|woff|woff2)$/)) return next();
-  if (req.path !== '/') return res.redirect('/setup');
-  res.redirect('/setup');
-});
+// Salted scrypt hash, stored as "scrypt:<salt hex>:<hash hex>"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
 
-// --- Helpers ---
-function run(cmd, timeoutMs = 5000) {
-  return new Promise((resolve) => {
-    exec(cmd, { timeout: timeoutMs }, (err, stdout) => {
-      resolve(err ? '' : stdout.trim());
-    });
-  });
+// scrypt is deliberately slow and Basic auth re-sends credentials on every request,
+// so remember recent successful checks (keyed by stored hash + password digest)
+const verifiedLogins = new Set();
+
+function findUser(username, password) {
+  const user = (CONFIG.auth?.users || []).find(u => u.username === username);
+  if (!user) return null;
+  const key = crypto.createHash('sha256').update(`${user.passwordHash}\0${password}`).digest('hex');
+  if (!verifiedLogins.has(key)) {
+    if (!verifyPassword(password, user.passwordHash)) return null;
+    if (verifiedLogins.size > 100) verifiedLogins.clear();
+    verifiedLogins.add(key);
+  }
+  return { username: user.username, role: ROLES.includes(user.role) ? user.role : 'viewer' };
 }
 
-function sleep(ms) {
-  return new Promise(r => setTimeout(r, ms));
+// Older configs have a single plaintext auth.username/password — turn it into a hashed admin
+async function migrateLegacyAuth() {
+  const auth = CONFIG.auth;
+  if (!auth || !auth.username || Array.isArray(auth.users)) return;
+  auth.users = [{ username: auth.username, role: 'admin', passwordHash: hashPassword(auth.password || '') }];
+  delete auth.username;
+  delete auth.password;
+  // Setup mode runs on config.example.json — don't turn it into a real config file
+  if (setupMode) return;
+  await writeConfigFile(CONFIG, { action: 'migrate' });
+  console.log('🔐 Migrated auth credentials to a hashed admin account');
 }
 
-// --- CPU Usage ---
-async function readCpuStats() {
-  const raw = await fs.promises.readFile('/proc/stat', 'utf8');
-  const parts = raw.split('\n')[0].trim().split(/\s+/).slice(1).map(Number);
-  const idle = parts[3] + parts[4];
-  const total = parts.reduce((a, b) => a + b, 0);
-  return { idle, total };
+// Merge a submitted users list with the saved one: a blank password keeps the existing hash
+function buildUsers(submitted) {
+  const existing = CONFIG.auth?.users || [];
+  const seen = new Set();
+  return submitted.map(u => {
+    const username = String(u.username || '').trim();
+    if (!username) throw new Error('Every user needs a username');
+    if (seen.has(username)) throw new Error(`Duplicate user "${username}"`);
+    seen.add(username);
+    if (!ROLES.includes(u.role)) throw new Error(`Invalid role for "${username}"`);
+    // Imported users (config bundles) bring their hash along
+    let passwordHash = u.password ? hashPassword(u.password) : existing.find(e => e.username === username)?.passwordHash;
+    if (!passwordHash && /^scrypt:[0-9a-f]+:[0-9a-f]+$/.test(u.passwordHash || '')) passwordHash = u.passwordHash;
+    if (!passwordHash) throw new Error(`Password is required for new user "${username}"`);
+    return { username, role: u.role, passwordHash };
+  });
 }
 
-async function getCpuUsage() {
-  try {
-    const a = await readCpuStats();
-    await sleep(500);
-    const b = await readCpuStats();
-    const idleDelta = b.idle - a.idle;
-    const totalDelta = b.total - a.total;
-    return totalDelta === 0 ? 0 : Math.round((1 - idleDelta / totalDelta) * 100);
-  } catch (err) {
-    console.error('getCpuUsage failed:', err.message);
-    return null;
+// --- Config schema ---
+// Declarative shape of config.json, checked at startup and before every save.
+// Node keys: type, required, nullable, enum, min, max, nonEmpty, items, fields, values, unique, anyOf, check.
+// Keys the schema doesn't list are left alone; listed ones must match.
+const PERCENT_METRICS = ['cpu', 'ram', 'disk'];
+const httpUrl = { type: 'string', pattern: /^https?:\/\/\S+$/, patternMessage: 'must be an http(s):// URL' };
+const nameString = { type: 'string', required: true, nonEmpty: true };
+const channelRefs = {
+  type: 'array',
+  items: { type: 'string', nonEmpty: true },
+  check: (ids, root) => {
+    const known = configChannelIds(root);
+    const unknown = ids.filter(id => !known.includes(id));
+    return unknown.length ? `unknown channel ${unknown.map(id => `"${id}"`).join(', ')} (have: ${known.join(', ')})` : null;
   }
-}
+};
+const price = { type: 'number', required: true, min: 0 };
+const mountPath = { type: 'string', pattern: /^\//, patternMessage: 'must be an absolute path' };
+const hostName = { type: 'string', pattern: /^[a-zA-Z0-9][a-zA-Z0-9.:_-]*$/, patternMessage: 'must be a hostname or IP address' };
+// Probe fields each type needs, and which types the type-specific fields apply to
+const PROBE_REQUIRED = { http: ['url'], tcp: ['host', 'port'], ping: ['host'] };
+const PROBE_SCOPED_FIELDS = {
+  url: ['http'], expectStatus: ['http'], expectBody: ['http'], rejectUnauthorized: ['http'],
+  host: ['tcp', 'ping'], port: ['tcp']
+};
 
-// --- CPU Temp ---
-async function getCpuTemp() {
-  try {
-    const out = await run('sensors -j');
-    const data = JSON.parse(out);
-    const core = data['coretemp-isa-0000'];
-    if (core) {
-      const pkg = core['Package id 0'];
-      if (pkg) return Math.round(Object.values(pkg).find(v => typeof v === 'number' && v > 0));
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: true,
+  fields: {
+    label: { type: 'string' },
+    port: { type: 'integer', required: true, min: 1, max: 65535 },
+    networkIface: { type: 'string', nonEmpty: true },
+    networkIfaces: { type: 'array', items: { type: 'string', nonEmpty: true } },
+    networkMonthStart: { type: 'integer', min: 1, max: 28 },
+    cpuTempSensor: { type: 'string', nonEmpty: true },
+    weatherLocation: { type: 'string' },
+    weatherLat: { type: 'number', min: -90, max: 90 },
+    weatherLon: { type: 'number', min: -180, max: 180 },
+    weatherCacheTtl: { type: 'number', min: 0 },
+    botCacheTtl: { type: 'number', min: 0 },
+    metricsInterval: { type: 'number', min: 1 },
+    encryptSecrets: { type: 'boolean' },
+    dockerHost: { type: 'string', pattern: /^(unix|tcp):\/\/\S+$/, patternMessage: 'must be unix:///path/to/docker.sock or tcp://host:port' },
+    processActions: { type: 'boolean' },
+    configHistoryLimit: { type: 'integer', min: 1, max: 1000 },
+    dockerContainers: {
+      anyOf: [
+        { type: 'string', enum: ['auto'] },
+        { type: 'array', items: { type: 'string', nonEmpty: true, pattern: /^(project:)?[a-zA-Z0-9][a-zA-Z0-9_.-]*$/, patternMessage: 'must be a container name or project:<compose project>' } }
+      ],
+      message: 'must be "auto" or a list of container names and project:<name> entries'
+    },
+    systemdServices: { type: 'array', items: { type: 'string', nonEmpty: true } },
+    diskMounts: {
+      anyOf: [{ type: 'string', enum: ['auto'] }, { type: 'array', items: mountPath }],
+      message: 'must be "auto" or a list of absolute mount points'
+    },
+    auth: {
+      type: 'object',
+      fields: {
+        enabled: { type: 'boolean' },
+        users: {
+          type: 'array',
+          unique: 'username',
+          items: {
+            type: 'object',
+            fields: {
+              username: nameString,
+              role: { type: 'string', required: true, enum: ROLES },
+              passwordHash: { type: 'string', required: true, pattern: /^scrypt:[0-9a-f]+:[0-9a-f]+$/, patternMessage: 'must be a scrypt hash (set passwords in Settings)' }
+            }
+          }
+        },
+        username: { type: 'string' },
+        password: { type: 'string' },
+        sessionHours: { type: 'number', min: 0.1 },
+        basic: { type: 'boolean' },
+        maxAttempts: { type: 'integer', min: 1 },
+        lockoutMinutes: { type: 'number', min: 0 }
+      },
+      check: auth => (auth.enabled && !auth.username && !auth.users?.some(u => u.role === 'admin')
+        ? [{ field: 'users', message: 'needs at least one admin while auth is enabled' }] : null)
+    },
+    prometheus: {
+      type: 'object',
+      fields: { enabled: { type: 'boolean' }, token: { type: 'string' } }
+    },
+    alerts: {
+      type: 'object',
+      fields: {
+        telegram: {
+          type: 'object',
+          fields: { botToken: { type: 'string' }, chatId: { anyOf: [{ type: 'string' }, { type: 'integer' }], message: 'must be a chat id' } }
+        },
+        cooldownMinutes: { type: 'number', min: 0 },
+        channels: {
+          type: 'array',
+          unique: 'id',
+          items: {
+            type: 'object',
+            fields: {
+              id: { type: 'string', nonEmpty: true },
+              type: { type: 'string', required: true, enum: CHANNEL_TYPES },
+              url: httpUrl,
+              server: httpUrl,
+              headers: { type: 'object', values: { type: 'string' } },
+              botToken: { type: 'string' },
+              chatId: { anyOf: [{ type: 'string' }, { type: 'integer' }], message: 'must be a chat id' },
+              topic: { type: 'string' },
+              token: { type: 'string' },
+              priority: { type: 'integer', min: 1, max: 5 },
+              host: { type: 'string' },
+              port: { type: 'integer', min: 1, max: 65535 },
+              secure: { type: 'boolean' },
+              starttls: { type: 'boolean' },
+              rejectUnauthorized: { type: 'boolean' },
+              user: { type: 'string' },
+              pass: { type: 'string' },
+              from: { type: 'string' },
+              to: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], message: 'must be an address or a list of addresses' }
+            },
+            check: ch => {
+              const needs = { webhook: ['url'], slack: ['url'], discord: ['url'], ntfy: ['topic'], email: ['host', 'to'] }[ch.type] || [];
+              return needs.filter(f => !ch[f] || (Array.isArray(ch[f]) && !ch[f].length))
+                .map(f => ({ field: f, message: `is required for ${ch.type} channels` }));
+            }
+          }
+        },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              metric: { type: 'string', required: true, enum: Object.keys(ALERT_METRICS) },
+              threshold: { type: 'number', min: 0 },
+              mount: mountPath,
+              iface: { type: 'string', nonEmpty: true },
+              period: { type: 'string', enum: ['day', 'month'] },
+              direction: { type: 'string', enum: ['rx', 'tx', 'total'] },
+              sensor: { type: 'string', nonEmpty: true },
+              window: { type: 'integer', min: 1, max: 60 },
+              source: { type: 'string', enum: ['service', 'docker'] },
+              pattern: {
+                type: 'string',
+                nonEmpty: true,
+                check: pattern => {
+                  try {
+                    new RegExp(pattern);
+                    return null;
+                  } catch (err) {
+                    return `is not a valid regular expression (${err.message})`;
+                  }
+                }
+              },
+              ignoreCase: { type: 'boolean' },
+              duration: { type: 'integer', min: 0 },
+              name: { type: 'string' },
+              channels: channelRefs
+            },
+            check: (rule, root) => {
+              const errors = (ALERT_METRICS[rule.metric] || [])
+                .filter(f => rule[f] == null || rule[f] === '')
+                .map(f => ({ field: f, message: `is required for ${rule.metric} rules${f === 'name' && rule.target ? ' (rename "target" to "name")' : ''}` }));
+              if (rule.durationSeconds != null) errors.push({ field: 'durationSeconds', message: 'is not read — use "duration" (seconds)' });
+              if (PERCENT_METRICS.includes(rule.metric) && rule.threshold > 100) {
+                errors.push({ field: 'threshold', message: 'must be at most 100 (%)' });
+              }
+              for (const [field, metrics] of Object.entries(RULE_SCOPED_FIELDS)) {
+                const allowed = [].concat(metrics);
+                if (rule[field] != null && !allowed.includes(rule.metric)) errors.push({ field, message: `only applies to ${allowed.join(' and ')} rules` });
+              }
+              if (['probe_down', 'probe_slow'].includes(rule.metric) && rule.name && !(root.probes || []).some(p => p?.name === rule.name)) {
+                errors.push({ field: 'name', message: 'is not a configured probe' });
+              }
+              if (rule.metric === 'cert_expiry' && rule.name && !(root.certificates || []).some(c => c?.name === rule.name)) {
+                errors.push({ field: 'name', message: 'is not a configured certificate' });
+              }
+              if (rule.metric === 'log_match' && rule.source === 'service' && rule.name && Array.isArray(root.systemdServices) && !root.systemdServices.includes(rule.name)) {
+                errors.push({ field: 'name', message: 'is not in systemdServices' });
+              }
+              if (rule.metric === 'log_match' && rule.threshold > LOG_MATCHES_KEPT) {
+                errors.push({ field: 'threshold', message: `must be at most ${LOG_MATCHES_KEPT} matching lines` });
+              }
+              if (rule.metric === 'disk' && rule.mount && Array.isArray(root.diskMounts) && !root.diskMounts.includes(rule.mount)) {
+                errors.push({ field: 'mount', message: `is not in diskMounts (${root.diskMounts.join(', ')})` });
+              }
+              // With networkIface "auto" the interface name isn't known until Pulse runs
+              const ifaces = [root.networkIface, ...(Array.isArray(root.networkIfaces) ? root.networkIfaces : [])];
+              if (rule.metric === 'net_quota' && rule.iface && root.networkIface !== 'auto' && !ifaces.includes(rule.iface)) {
+                errors.push({ field: 'iface', message: 'is not tracked — add it to networkIfaces' });
+              }
+              return errors;
+            }
+          }
+        }
+      }
+    },
+    budget: {
+      type: 'object',
+      fields: {
+        monthly: { type: 'number', min: 0 },
+        warning: { type: 'number', min: 1, max: 100 },
+        channels: channelRefs
+      }
+    },
+    modelPricing: {
+      type: 'object',
+      values: {
+        type: 'object',
+        fields: { input: price, output: price, cacheRead: price, cacheWrite: price }
+      }
+    },
+    bots: {
+      type: 'array',
+      unique: 'name',
+      items: {
+        type: 'object',
+        fields: {
+          name: nameString,
+          profile: { type: 'string', nullable: true },
+          stateDir: { type: 'string', pattern: /^\//, patternMessage: 'must be an absolute path' }
+        }
+      }
+    },
+    probes: {
+      type: 'array',
+      unique: 'name',
+      items: {
+        type: 'object',
+        fields: {
+          name: nameString,
+          type: { type: 'string', required: true, enum: Object.keys(PROBE_REQUIRED) },
+          url: httpUrl,
+          host: hostName,
+          port: { type: 'integer', min: 1, max: 65535 },
+          expectStatus: { type: 'integer', min: 100, max: 599 },
+          expectBody: { type: 'string', nonEmpty: true },
+          rejectUnauthorized: { type: 'boolean' },
+          interval: { type: 'integer', min: 5, max: 86400 },
+          timeout: { type: 'integer', min: 1, max: 60 }
+        },
+        check: probe => {
+          const errors = (PROBE_REQUIRED[probe.type] || [])
+            .filter(f => probe[f] == null || probe[f] === '')
+            .map(f => ({ field: f, message: `is required for ${probe.type} probes` }));
+          for (const [field, types] of Object.entries(PROBE_SCOPED_FIELDS)) {
+            if (probe[field] != null && PROBE_REQUIRED[probe.type] && !types.includes(probe.type)) {
+              errors.push({ field, message: `only applies to ${types.join('/')} probes` });
+            }
+          }
+          return errors;
+        }
+      }
+    },
+    certificates: {
+      type: 'array',
+      unique: 'name',
+      items: {
+        type: 'object',
+        fields: {
+          name: nameString,
+          host: hostName,
+          port: { type: 'integer', min: 1, max: 65535 },
+          servername: { type: 'string', nonEmpty: true },
+          path: { type: 'string', pattern: /^\//, patternMessage: 'must be an absolute path' }
+        },
+        check: cert => {
+          if (!cert.host === !cert.path) return [{ field: 'host', message: 'set either host (TLS endpoint) or path (PEM file or directory)' }];
+          return cert.path ? ['port', 'servername'].filter(f => cert[f] != null).map(f => ({ field: f, message: 'only applies to host entries' })) : [];
+        }
+      }
+    },
+    fleet: {
+      type: 'object',
+      fields: {
+        nodes: {
+          type: 'array',
+          unique: 'name',
+          items: {
+            type: 'object',
+            fields: {
+              name: nameString,
+              url: { ...httpUrl, required: true },
+              token: { type: 'string' },
+              username: { type: 'string' },
+              password: { type: 'string' }
+            }
+          }
+        },
+        pollInterval: { type: 'number', min: 1 },
+        staleAfter: { type: 'number', min: 0 }
+      }
     }
-    const acpi = data['acpitz-acpi-0'];
-    if (acpi && acpi.temp1) return Math.round(Object.values(acpi.temp1).find(v => typeof v === 'number' && v > 0));
-  } catch (err) {
-    console.error('getCpuTemp failed:', err.message);
   }
-  return null;
-}
+};
 
-// --- RAM ---
-async function getRam() {
-  try {
-    const raw = await fs.promises.readFile('/proc/meminfo', 'utf8');
-    const get = (key) => {
-      const m = raw.match(new RegExp(`^${key}:\\s+(\\d+)`, 'm'));
-      return m ? parseInt(m[1]) * 1024 : 0;
-    };
-    const total = get('MemTotal');
-    const available = get('MemAvailable');
-    const used = total - available;
-    return {
-      used: +(used / 1e9).toFixed(1),
-      total: +(total / 1e9).toFixed(1),
-      percent: Math.round((used / total) * 100)
-    };
-  } catch (err) {
-    console.error('getRam failed:', err.message);
-    return null;
-  }
+// Channel ids rules and budget can route to — mirrors getAlertChannels() for a config that isn't live yet
+function configChannelIds(cfg) {
+  const channels = cfg?.alerts?.channels;
+  if (!Array.isArray(channels) || channels.length === 0) return ['telegram'];
+  return channels.map((c, i) => c?.id || `${c?.type}-${i + 1}`);
 }
 
-// --- Disk ---
-async function getDisk() {
-  try {
-    const out = await run('df -B1 /');
-    const parts = out.split('\n')[1].trim().split(/\s+/);
-    const total = parseInt(parts[1]);
-    const used = parseInt(parts[2]);
-    const free = parseInt(parts[3]);
-    return {
-      total: +(total / 1e9).toFixed(1),
-      used: +(used / 1e9).toFixed(1),
-      free: +(free / 1e9).toFixed(1),
-      percent: Math.round((used / total) * 100)
-    };
-  } catch (err) {
-    console.error('getDisk failed:', err.message);
-    return null;
+function checkNode(schema, value, at, errors, root) {
+  const fail = message => errors.push({ path: at || '(root)', message });
+  if (value === undefined) {
+    if (schema.required) fail('is required');
+    return;
+  }
+  if (value === null) {
+    if (!schema.nullable) fail(schema.required ? 'is required' : 'must not be null');
+    return;
+  }
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some(alt => {
+      const sub = [];
+      checkNode(alt, value, at, sub, root);
+      return sub.length === 0;
+    });
+    if (!ok) fail(schema.message || 'has an invalid value');
+    return;
+  }
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (schema.nonEmpty && !value.trim()) return fail('must not be empty');
+      if (schema.pattern && value && !schema.pattern.test(value)) return fail(schema.patternMessage);
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+      if (schema.type === 'integer' && !Number.isInteger(value)) return fail('must be a whole number');
+      if (schema.min != null && value < schema.min) return fail(`must be at least ${schema.min}`);
+      if (schema.max != null && value > schema.max) return fail(`must be at most ${schema.max}`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      break;
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be a list');
+      const seen = new Set();
+      value.forEach((item, i) => {
+        checkNode(schema.items, item, `${at}[${i}]`, errors, root);
+        const key = schema.unique && item?.[schema.unique];
+        if (key == null || key === '') return;
+        if (seen.has(key)) errors.push({ path: `${at}[${i}].${schema.unique}`, message: `duplicate "${key}"` });
+        seen.add(key);
+      });
+      break;
+    }
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      for (const [key, sub] of Object.entries(schema.fields || {})) {
+        checkNode(sub, value[key], at ? `${at}.${key}` : key, errors, root);
+      }
+      if (schema.values) {
+        for (const [key, v] of Object.entries(value)) checkNode(schema.values, v, at ? `${at}.${key}` : key, errors, root);
+      }
+      break;
   }
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.join(', ')}`);
+  const problems = schema.check ? schema.check(value, root) : null;
+  if (typeof problems === 'string') fail(problems);
+  else for (const p of problems || []) errors.push({ path: `${at}.${p.field}`, message: p.message });
 }
 
-// --- Network Speed ---
-let lastNetStats = null;
-let lastNetTime = null;
+// [{ path: 'alerts.rules[0].metric', message }] — empty when the config is valid
+function validateConfig(cfg) {
+  const errors = [];
+  checkNode(CONFIG_SCHEMA, cfg, '', errors, cfg);
+  return errors;
+}
 
-async function readNetStats() {
-  const raw = await fs.promises.readFile('/proc/net/dev', 'utf8');
-  const line = raw.split('\n').find(l => l.includes(CONFIG.networkIface));
-  if (!line) return null;
-  const parts = line.trim().split(/\s+/);
-  return { rx: parseInt(parts[1]), tx: parseInt(parts[9]) };
+// Route guard — no-op while auth is disabled. API tokens are checked against `scopes`
+// instead of a role; a route that lists no scopes is closed to tokens.
+function requireRole(role, scopes = []) {
+  scopes = [].concat(scopes);
+  return (req, res, next) => {
+    if (!CONFIG.auth?.enabled || setupMode) return next();
+    if (req.token) {
+      if (scopes.some(sc => req.token.scopes.includes(sc))) return next();
+      return res.status(403).json({ ok: false, error: scopes.length ? `Token needs scope ${scopes.join(' or ')}` : 'Not available to API tokens' });
+    }
+    if (req.user && ROLES.indexOf(req.user.role) >= ROLES.indexOf(role)) return next();
+    res.status(403).json({ ok: false, error: `Requires ${role} role` });
+  };
 }
 
-async function getNetworkSpeed() {
+// --- API Tokens ---
+// Stored in data/api-tokens.json as sha256 hashes; the plaintext is shown once on creation
+const API_TOKENS_FILE = path.join(__dirname, 'data', 'api-tokens.json');
+const TOKEN_SCOPES = ['metrics:read', 'logs:read', 'restart', 'cron:manage'];
+let apiTokens = []; // [{ id, name, scopes, hash, createdAt, expiresAt, lastUsedAt, lastUsedIp }]
+let apiTokensFlushTimer = null;
+
+async function loadApiTokens() {
   try {
-    const now = Date.now();
-    const current = await readNetStats();
-    if (!current) return { up: 0, down: 0 };
-    if (!lastNetStats || !lastNetTime) {
-      lastNetStats = current;
-      lastNetTime = now;
-      return { up: 0, down: 0 };
-    }
-    const dt = (now - lastNetTime) / 1000;
-    const down = Math.round((current.rx - lastNetStats.rx) / dt);
-    const up = Math.round((current.tx - lastNetStats.tx) / dt);
-    lastNetStats = current;
-    lastNetTime = now;
-    return { up: Math.max(0, up), down: Math.max(0, down) };
-  } catch (err) {
-    console.error('getNetworkSpeed failed:', err.message);
-    return { up: 0, down: 0 };
+    apiTokens = JSON.parse(await fs.promises.readFile(API_TOKENS_FILE, 'utf8'));
+  } catch {
+    apiTokens = [];
   }
 }
 
-// --- Docker ---
-async function getDockerContainers() {
+async function saveApiTokens() {
+  clearTimeout(apiTokensFlushTimer);
+  apiTokensFlushTimer = null;
+  await fs.promises.mkdir(path.dirname(API_TOKENS_FILE), { recursive: true });
+  await fs.promises.writeFile(API_TOKENS_FILE, JSON.stringify(apiTokens, null, 2));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicToken(t) {
+  const { hash, ...rest } = t;
+  return { ...rest, expired: !!t.expiresAt && t.expiresAt <= Date.now() };
+}
+
+// Resolve a Bearer token and note its use (written to disk at most once a minute)
+function useApiToken(token, ip) {
+  const hash = Buffer.from(hashToken(token));
+  const entry = apiTokens.find(t => crypto.timingSafeEqual(Buffer.from(t.hash), hash));
+  if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) return null;
+  entry.lastUsedAt = Date.now();
+  entry.lastUsedIp = ip;
+  if (!apiTokensFlushTimer) {
+    apiTokensFlushTimer = setTimeout(() => saveApiTokens().catch(err => console.error('Save API tokens failed:', err.message)), 60000);
+  }
+  return entry;
+}
+
+// --- Audit Log ---
+// Append-only JSONL: one line per operator action with who, when, from where, what and the outcome
+const AUDIT_FILE = path.join(__dirname, 'data', 'audit.jsonl');
+
+async function appendAudit(entry) {
   try {
-    const out = await run('docker ps -a --format "{{.Names}}|{{.Status}}"');
-    const lines = out.split('\n').filter(Boolean);
-    if (CONFIG.dockerContainers === 'auto') {
-      return lines.map(line => {
-        const [name, ...rest] = line.split('|');
-        const statusFull = rest.join('|');
-        const running = statusFull.toLowerCase().startsWith('up');
-        return { name, running, uptime: running ? statusFull.replace(/^Up\s+/i, '') : 'stopped' };
+    await fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+    await fs.promises.appendFile(AUDIT_FILE, JSON.stringify(entry) + '\n');
+  } catch (err) {
+    console.error('Audit write failed:', err.message);
+  }
+}
+
+// Who made a request, as recorded in the audit log and config history
+function actorName(req) {
+  return req.user?.username || (CONFIG.auth?.enabled ? null : 'anonymous');
+}
+
+// Route middleware — records the request once the handler has answered.
+// `describe(req)` returns { target, params } so secrets never reach the log.
+// A client that goes away mid-stream only emits 'close', never 'finish'; the entry is then written once
+// res.locals.auditSettled (a streaming handler's work) settles, so it still records how the action ended.
+function audited(action, describe = req => ({ params: { ...req.body, ...req.params } })) {
+  return (req, res, next) => {
+    const { target = null, params = {} } = describe(req);
+    let written = false;
+    const write = () => {
+      if (written) return;
+      written = true;
+      const body = res.locals.auditBody || {};
+      appendAudit({
+        ts: Date.now(),
+        user: actorName(req),
+        via: req.token ? 'token' : req.session ? 'session' : req.user ? 'basic' : null,
+        ip: req.ip,
+        action,
+        target,
+        params,
+        status: res.statusCode,
+        ok: res.statusCode < 400 && body.ok !== false,
+        result: body.error || body.status || body.action || null
       });
+    };
+    res.on('finish', write);
+    res.on('close', () => Promise.resolve(res.locals.auditSettled).then(write));
+    // Keep a copy of the JSON reply for the result column
+    const json = res.json.bind(res);
+    res.json = data => {
+      res.locals.auditBody = data;
+      return json(data);
+    };
+    next();
+  };
+}
+
+// --- Sessions ---
+// config.auth: { sessionHours: 24, basic: false, maxAttempts: 5, lockoutMinutes: 15 }
+// Sessions live in memory (a restart logs everyone out); the cookie carries "<id>.<hmac>"
+const SESSION_COOKIE = 'pulse_session';
+const CSRF_COOKIE = 'pulse_csrf';
+const sessionSecret = crypto.randomBytes(32);
+const sessions = new Map(); // key = session id, value = { username, csrf, expires }
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return cookies;
+}
+
+function signSessionId(id) {
+  return id + '.' + crypto.createHmac('sha256', sessionSecret).update(id).digest('base64url');
+}
+
+function createSession(username) {
+  const id = crypto.randomBytes(24).toString('hex');
+  const now = Date.now();
+  for (const [sid, sess] of sessions) if (sess.expires <= now) sessions.delete(sid);
+  const session = { username, csrf: crypto.randomBytes(24).toString('hex'), expires: now + (CONFIG.auth?.sessionHours || 24) * 3600000 };
+  sessions.set(id, session);
+  return { cookie: signSessionId(id), session };
+}
+
+function getSession(req) {
+  const value = parseCookies(req)[SESSION_COOKIE] || '';
+  const id = value.split('.')[0];
+  const expected = Buffer.from(signSessionId(id));
+  if (!id || value.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(value), expected)) return null;
+  const session = sessions.get(id);
+  if (!session) return null;
+  if (session.expires <= Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  return { id, ...session };
+}
+
+function setSessionCookies(req, res, cookie, session) {
+  const maxAge = Math.max(0, Math.floor((session.expires - Date.now()) / 1000));
+  const secure = req.secure ? '; Secure' : '';
+  res.append('Set-Cookie', `${SESSION_COOKIE}=${cookie}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`);
+  // Readable by the page so it can echo it back in X-CSRF-Token
+  res.append('Set-Cookie', `${CSRF_COOKIE}=${session.csrf}; Path=/; SameSite=Strict; Max-Age=${maxAge}${secure}`);
+}
+
+function clearSessionCookies(res) {
+  res.append('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  res.append('Set-Cookie', `${CSRF_COOKIE}=; Path=/; SameSite=Strict; Max-Age=0`);
+}
+
+// --- Login throttling (per IP) ---
+const loginFailures = new Map(); // key = ip, value = { count, first, lockedUntil }
+
+function lockoutRemaining(ip) {
+  const entry = loginFailures.get(ip);
+  return entry?.lockedUntil > Date.now() ? entry.lockedUntil - Date.now() : 0;
+}
+
+function recordLoginFailure(ip) {
+  const maxAttempts = CONFIG.auth?.maxAttempts || 5;
+  const windowMs = (CONFIG.auth?.lockoutMinutes || 15) * 60000;
+  const now = Date.now();
+  let entry = loginFailures.get(ip);
+  if (!entry || now - entry.first > windowMs) entry = { count: 0, first: now, lockedUntil: 0 };
+  entry.count++;
+  if (entry.count >= maxAttempts) {
+    entry.lockedUntil = now + windowMs;
+    console.warn(`🔒 Locked out ${ip} after ${entry.count} failed logins`);
+  }
+  loginFailures.set(ip, entry);
+}
+
+function sendLockout(res, remainingMs) {
+  const minutes = Math.ceil(remainingMs / 60000);
+  res.set('Retry-After', String(Math.ceil(remainingMs / 1000)));
+  res.status(429).json({ ok: false, error: `Too many failed attempts — try again in ${minutes} min` });
+}
+
+function basicUser(req) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Basic ')) return undefined;
+  const decoded = Buffer.from(header.slice(6), 'base64').toString();
+  const colon = decoded.indexOf(':');
+  return colon >= 0 ? findUser(decoded.slice(0, colon), decoded.slice(colon + 1)) : null;
+}
+
+function csrfValid(req, session) {
+  const token = Buffer.from(String(req.headers['x-csrf-token'] || ''));
+  const expected = Buffer.from(session.csrf);
+  return token.length === expected.length && crypto.timingSafeEqual(token, expected);
+}
+
+// --- Auth Middleware (skips /setup, /login, /api/health, /api/detect/*; /api/setup only in setup mode; /metrics has its own token) ---
+// Browsers use a session cookie (+ CSRF header on writes); scripts may use Basic auth when auth.basic is on
+app.use((req, res, next) => {
+  const publicPaths = ['/setup', '/login', '/api/login', '/api/health', '/metrics'];
+  const isPublic = publicPaths.includes(req.path) || req.path.startsWith('/api/detect')
+    || (setupMode && req.path === '/api/setup');
+  if (isPublic) return next();
+  if (!CONFIG.auth || !CONFIG.auth.enabled) return next();
+
+  const session = getSession(req);
+  const sessionUser = session && (CONFIG.auth.users || []).find(u => u.username === session.username);
+  if (sessionUser) {
+    if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method) && !csrfValid(req, session)) {
+      return res.status(403).json({ ok: false, error: 'Missing or invalid CSRF token' });
     }
-    return CONFIG.dockerContainers.map(name => {
-      const line = lines.find(l => l.startsWith(name + '|'));
-      if (!line) return { name, running: false, uptime: '' };
-      const [, statusFull] = line.split('|');
-      const running = statusFull.toLowerCase().startsWith('up');
-      return { name, running, uptime: running ? statusFull.replace(/^Up\s+/i, '') : 'stopped' };
+    req.user = { username: sessionUser.username, role: ROLES.includes(sessionUser.role) ? sessionUser.role : 'viewer' };
+    req.session = session;
+    return next();
+  }
+
+  if (req.headers.authorization?.startsWith('Bearer ')) {
+    const remaining = lockoutRemaining(req.ip);
+    if (remaining) return sendLockout(res, remaining);
+    const token = useApiToken(req.headers.authorization.slice(7).trim(), req.ip);
+    if (!token) {
+      recordLoginFailure(req.ip);
+      return res.status(401).json({ ok: false, error: 'Invalid or expired token' });
+    }
+    // Log and cron routes check their own scopes; every other read needs metrics:read
+    const ownScope = req.path.startsWith('/api/logs/') || req.path.startsWith('/api/cron');
+    if (req.method === 'GET' && !ownScope && !token.scopes.includes('metrics:read')) {
+      return res.status(403).json({ ok: false, error: 'Token needs scope metrics:read' });
+    }
+    req.token = token;
+    req.user = { username: `token:${token.name}`, role: 'viewer' };
+    return next();
+  }
+
+  if (CONFIG.auth.basic && req.headers.authorization?.startsWith('Basic ')) {
+    const remaining = lockoutRemaining(req.ip);
+    if (remaining) return sendLockout(res, remaining);
+    const user = basicUser(req);
+    if (user) {
+      req.user = user;
+      return next();
+    }
+    recordLoginFailure(req.ip);
+  }
+
+  if (req.method === 'GET' && !req.path.startsWith('/api/')) {
+    return res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+  }
+  if (CONFIG.auth.basic) res.set('WWW-Authenticate', 'Basic realm="Pulse"');
+  res.status(401).json({ ok: false, error: 'Unauthorized' });
+});
+
+// --- Setup Mode Redirect Middleware ---
+app.use((req, res, next) => {
+  if (!setupMode) return next();
+  const allowed = ['/setup', '/api/setup', '/api/health'];
+  const isAllowed = allowed.includes(req.path) || req.path.startsWith('/api/detect');
+  if (isAllowed) return next();
+  // Allow static assets for setup page
+  if (req.path.match(/\.(js|css|ico|png|svg|woff|woff2)$/)) return next();
+  if (req.path !== '/') return res.redirect('/setup');
+  res.redirect('/setup');
+});
+
+// Serve static files
+app.use(express.static(path.join(__dirname, 'public')));
+
+// --- Helpers ---
+function run(cmd, timeoutMs = 5000) {
+  return new Promise((resolve) => {
+    exec(cmd, { timeout: timeoutMs }, (err, stdout) => {
+      resolve(err ? '' : stdout.trim());
     });
+  });
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// Generic HTTP(S) request — resolves { status, headers, body } for any status code
+function httpRequest(url, { method = 'GET', headers = {}, body = null, timeoutMs = 8000, rejectUnauthorized = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const mod = url.startsWith('https') ? https : http;
+    const reqHeaders = { 'User-Agent': 'pulse-dashboard/1.0', ...headers };
+    if (body != null) reqHeaders['Content-Length'] = Buffer.byteLength(body);
+    const req = mod.request(url, { method, headers: reqHeaders, rejectUnauthorized }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error('timeout')));
+    req.on('error', reject);
+    if (body != null) req.write(body);
+    req.end();
+  });
+}
+
+async function postJson(url, payload, headers = {}) {
+  const res = await httpRequest(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+  if (res.status < 200 || res.status >= 300) throw new Error(`HTTP ${res.status}`);
+  return res;
+}
+
+// --- CPU Usage ---
+// /proc/stat "cpu" lines: user nice system idle iowait irq softirq steal ... (jiffies)
+async function readCpuStats() {
+  const raw = await fs.promises.readFile('/proc/stat', 'utf8');
+  const parse = line => {
+    const [user, nice, system, idle, iowait = 0, irq = 0, softirq = 0, steal = 0] = line.trim().split(/\s+/).slice(1).map(Number);
+    return {
+      user: user + nice,
+      system: system + irq + softirq,
+      idle,
+      iowait,
+      steal,
+      total: user + nice + system + idle + iowait + irq + softirq + steal
+    };
+  };
+  const lines = raw.split('\n').filter(l => /^cpu\d* /.test(l));
+  return { all: parse(lines[0]), cores: lines.slice(1).map(parse) };
+}
+
+// Share of each state between two readings, in %
+function cpuDelta(a, b) {
+  const total = b.total - a.total;
+  const pct = key => (total > 0 ? Math.round(((b[key] - a[key]) / total) * 1000) / 10 : 0);
+  return {
+    usage: total > 0 ? Math.round((1 - (b.idle + b.iowait - a.idle - a.iowait) / total) * 100) : 0,
+    user: pct('user'),
+    system: pct('system'),
+    iowait: pct('iowait'),
+    steal: pct('steal')
+  };
+}
+
+// { usage, user, system, iowait, steal, cores: [usage %], load: [1m, 5m, 15m] }
+async function getCpuUsage() {
+  try {
+    const a = await readCpuStats();
+    await sleep(500);
+    const b = await readCpuStats();
+    return {
+      ...cpuDelta(a.all, b.all),
+      cores: b.cores.map((core, i) => (a.cores[i] ? cpuDelta(a.cores[i], core).usage : 0)),
+      load: os.loadavg().map(l => Math.round(l * 100) / 100)
+    };
   } catch (err) {
-    console.error('getDockerContainers failed:', err.message);
+    console.error('getCpuUsage failed:', err.message);
+    return null;
+  }
+}
+
+// --- Pressure stall information (Linux 4.20+) ---
+// { cpu, memory, io }: { some: { avg10, avg60, avg300 }, full: {...} } — null when /proc/pressure is missing
+async function getPressure() {
+  const read = async resource => {
+    try {
+      const raw = await fs.promises.readFile(`/proc/pressure/${resource}`, 'utf8');
+      const out = {};
+      for (const line of raw.split('\n').filter(Boolean)) {
+        const [kind, ...fields] = line.trim().split(/\s+/);
+        out[kind] = {};
+        for (const f of fields) {
+          const [k, v] = f.split('=');
+          if (k.startsWith('avg')) out[kind][k] = parseFloat(v);
+        }
+      }
+      return out;
+    } catch {
+      return null;
+    }
+  };
+  const [cpu, memory, io] = await Promise.all([read('cpu'), read('memory'), read('io')]);
+  return cpu || memory || io ? { cpu, memory, io } : null;
+}
+
+// --- Sensors ---
+// PULSE_SENSORS_JSON (a saved `sensors -j` output) and PULSE_SYSFS_ROOT (a copy of /sys) swap in fixtures for tests
+const SENSORS_JSON_FILE = process.env.PULSE_SENSORS_JSON || null;
+const SYSFS_ROOT = process.env.PULSE_SYSFS_ROOT || '/sys';
+const SENSOR_TYPES = {
+  temp: { kind: 'temp', unit: '°C', scale: 1000 },  // sysfs: millidegrees
+  fan: { kind: 'fan', unit: 'RPM', scale: 1 },
+  in: { kind: 'voltage', unit: 'V', scale: 1000 }   // sysfs: millivolts
+};
+
+// { id: 'chip/label', chip, label, kind: temp | fan | voltage, unit, value, max?, crit? }
+function sensorReading(chip, label, type, value, limits = {}) {
+  const round = type === 'in' ? v => Math.round(v * 1000) / 1000 : v => Math.round(v * 10) / 10;
+  const { kind, unit } = SENSOR_TYPES[type];
+  const reading = { id: `${chip}/${label}`, chip, label, kind, unit, value: round(value) };
+  for (const [key, v] of Object.entries(limits)) if (Number.isFinite(v)) reading[key] = round(v);
+  return reading;
+}
+
+// `sensors -j`: { chip: { Adapter, "<label>": { temp1_input, temp1_max, temp1_crit, ... } } }
+function parseSensorsJson(data) {
+  const readings = [];
+  for (const [chip, features] of Object.entries(data || {})) {
+    for (const [label, values] of Object.entries(features || {})) {
+      if (!values || typeof values !== 'object') continue;
+      const input = Object.keys(values).map(k => k.match(/^(temp|fan|in)(\d+)_input$/)).find(Boolean);
+      if (!input || !Number.isFinite(values[input[0]])) continue;
+      const [key, type, n] = input;
+      readings.push(sensorReading(chip, label, type, values[key], { max: values[`${type}${n}_max`], crit: values[`${type}${n}_crit`] }));
+    }
+  }
+  return readings;
+}
+
+// Without lm-sensors: every hwmon chip, then thermal zones if hwmon had no temperatures (they mostly overlap)
+async function readSysfsSensors() {
+  const read = file => fs.promises.readFile(file, 'utf8').then(v => v.trim(), () => null);
+  const number = async (file, scale) => {
+    const v = await read(file);
+    return v == null || v === '' ? undefined : Number(v) / scale;
+  };
+  const list = dir => fs.promises.readdir(dir).then(names => names.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })), () => []);
+  const readings = [];
+  const chips = new Map();
+
+  const hwmonDir = path.join(SYSFS_ROOT, 'class', 'hwmon');
+  for (const dir of await list(hwmonDir)) {
+    const base = path.join(hwmonDir, dir);
+    const name = (await read(path.join(base, 'name'))) || dir;
+    // Two chips with one driver (e.g. two NVMe drives) get -1, -2, ...
+    const seen = chips.get(name) || 0;
+    chips.set(name, seen + 1);
+    const chip = seen ? `${name}-${seen}` : name;
+    for (const file of await list(base)) {
+      const m = file.match(/^(temp|fan|in)(\d+)_input$/);
+      if (!m) continue;
+      const [, type, n] = m;
+      const { scale } = SENSOR_TYPES[type];
+      const value = await number(path.join(base, file), scale);
+      if (!Number.isFinite(value)) continue;
+      const label = (await read(path.join(base, `${type}${n}_label`))) || `${type}${n}`;
+      readings.push(sensorReading(chip, label, type, value, {
+        max: await number(path.join(base, `${type}${n}_max`), scale),
+        crit: await number(path.join(base, `${type}${n}_crit`), scale)
+      }));
+    }
+  }
+
+  if (!readings.some(r => r.kind === 'temp')) {
+    const thermalDir = path.join(SYSFS_ROOT, 'class', 'thermal');
+    const labels = new Set();
+    for (const dir of (await list(thermalDir)).filter(d => d.startsWith('thermal_zone'))) {
+      const value = await number(path.join(thermalDir, dir, 'temp'), 1000);
+      if (!Number.isFinite(value)) continue;
+      let label = (await read(path.join(thermalDir, dir, 'type'))) || dir;
+      if (labels.has(label)) label = `${label}-${dir.replace('thermal_zone', '')}`;
+      labels.add(label);
+      readings.push(sensorReading('thermal', label, 'temp', value));
+    }
+  }
+  return readings;
+}
+
+async function getSensors() {
+  try {
+    const raw = SENSORS_JSON_FILE ? await fs.promises.readFile(SENSORS_JSON_FILE, 'utf8') : await run('sensors -j');
+    if (raw.trim()) {
+      const readings = parseSensorsJson(JSON.parse(raw));
+      if (readings.length) return readings;
+    }
+  } catch (err) {
+    console.error('sensors -j failed:', err.message);
+  }
+  try {
+    return await readSysfsSensors();
+  } catch (err) {
+    console.error('Reading sysfs sensors failed:', err.message);
     return [];
   }
 }
 
-// --- Systemd Services ---
-// Try system-level systemctl first, fall back to user-level
-async function systemctl(cmd) {
+// The reading shown as the CPU temperature: cpuTempSensor from config, else the first known CPU sensor
+const CPU_TEMP_SENSORS = [
+  s => /^coretemp/.test(s.chip) && /^Package id/.test(s.label),
+  s => /^(k10temp|zenpower)/.test(s.chip) && s.label === 'Tdie',
+  s => /^(k10temp|zenpower)/.test(s.chip) && s.label === 'Tctl',
+  s => /^(cpu[_-]thermal|soc[_-]thermal|x86_pkg_temp)/.test(s.chip) || /^(cpu[_-]thermal|soc[_-]thermal|x86_pkg_temp)/.test(s.label),
+  s => /^acpitz/.test(s.chip) || /^acpitz/.test(s.label),
+  s => /^(coretemp|k10temp|zenpower)/.test(s.chip)
+];
+
+function cpuTempReading(sensors) {
+  const temps = sensors.filter(s => s.kind === 'temp');
+  if (CONFIG.cpuTempSensor) return temps.find(s => s.id === CONFIG.cpuTempSensor) || null;
+  for (const match of CPU_TEMP_SENSORS) {
+    const found = temps.find(match);
+    if (found) return found;
+  }
+  return null;
+}
+
+// --- RAM ---
+async function getRam() {
+  try {
+    const raw = await fs.promises.readFile('/proc/meminfo', 'utf8');
+    const get = (key) => {
+      const m = raw.match(new RegExp(`^${key}:\\s+(\\d+)`, 'm'));
+      return m ? parseInt(m[1]) * 1024 : 0;
+    };
+    const total = get('MemTotal');
+    const available = get('MemAvailable');
+    const used = total - available;
+    const swapTotal = get('SwapTotal');
+    const swapUsed = swapTotal - get('SwapFree');
+    return {
+      used: +(used / 1e9).toFixed(1),
+      total: +(total / 1e9).toFixed(1),
+      percent: Math.round((used / total) * 100),
+      usedBytes: used,
+      totalBytes: total,
+      swap: {
+        used: +(swapUsed / 1e9).toFixed(1),
+        total: +(swapTotal / 1e9).toFixed(1),
+        percent: swapTotal ? Math.round((swapUsed / swapTotal) * 100) : 0,
+        usedBytes: swapUsed,
+        totalBytes: swapTotal
+      }
+    };
+  } catch (err) {
+    console.error('getRam failed:', err.message);
+    return null;
+  }
+}
+
+// --- Processes ---
+// /proc/[pid]/stat after the ")" of comm: state ppid ... utime(14) stime(15) ... nice(19) threads(20) ... starttime(22)
+async function readProcStat(pid) {
+  const [stat, status] = await Promise.all([
+    fs.promises.readFile(`/proc/${pid}/stat`, 'utf8'),
+    fs.promises.readFile(`/proc/${pid}/status`, 'utf8')
+  ]);
+  // comm may itself contain spaces and parentheses
+  const close = stat.lastIndexOf(')');
+  const f = stat.slice(close + 2).split(' ');
+  const field = key => status.match(new RegExp(`^${key}:\\s+(\\S+)`, 'm'))?.[1];
+  return {
+    pid,
+    name: stat.slice(stat.indexOf('(') + 1, close),
+    state: f[0],
+    ppid: Number(f[1]),
+    ticks: Number(f[11]) + Number(f[12]),
+    nice: Number(f[16]),
+    threads: Number(f[17]),
+    uid: Number(field('Uid')),
+    rss: (Number(field('VmRSS')) || 0) * 1024  // kernel threads have no VmRSS
+  };
+}
+
+async function readAllProcStats() {
+  const pids = (await fs.promises.readdir('/proc')).filter(d => /^\d+$/.test(d)).map(Number);
+  const stats = await Promise.all(pids.map(pid => readProcStat(pid).catch(() => null)));  // exited while reading
+  return new Map(stats.filter(Boolean).map(p => [p.pid, p]));
+}
+
+async function readUserNames() {
   try {
-    return await run(`systemctl ${cmd}`);
+    const raw = await fs.promises.readFile('/etc/passwd', 'utf8');
+    return new Map(raw.split('\n').filter(Boolean).map(l => l.split(':')).map(([name, , uid]) => [Number(uid), name]));
   } catch {
-    return await run(`systemctl --user ${cmd}`);
+    return new Map();
   }
 }
 
-async function getSystemdServices() {
-  const results = [];
-  for (const svc of CONFIG.systemdServices) {
+// Without `args`, only the program (argv[0]) — arguments regularly carry passwords and tokens
+async function readCmdline(pid, { args = true } = {}) {
+  try {
+    const raw = await fs.promises.readFile(`/proc/${pid}/cmdline`, 'utf8');
+    if (!args) return raw.split('\0')[0].slice(0, 300);
+    return raw.replace(/\0+$/, '').replace(/\0/g, ' ').slice(0, 300);
+  } catch {
+    return '';
+  }
+}
+
+// Top processes by CPU or memory. CPU% is measured over `windowMs` like top: 100% = one core busy.
+async function getProcesses({ sort = 'cpu', limit = 15, windowMs = 1000, args = true } = {}) {
+  const [before, cpuBefore] = await Promise.all([readAllProcStats(), readCpuStats()]);
+  await sleep(windowMs);
+  const [after, cpuAfter, users, ram] = await Promise.all([readAllProcStats(), readCpuStats(), readUserNames(), getRam()]);
+  const coreTicks = (cpuAfter.all.total - cpuBefore.all.total) / Math.max(1, cpuAfter.cores.length);
+  const list = [...after.values()].map(p => {
+    // A pid seen only in the second pass started during the window; count all its ticks
+    const used = p.ticks - (before.get(p.pid)?.ticks ?? 0);
+    return {
+      pid: p.pid,
+      ppid: p.ppid,
+      name: p.name,
+      user: users.get(p.uid) ?? String(p.uid),
+      state: p.state,
+      nice: p.nice,
+      threads: p.threads,
+      cpu: coreTicks > 0 ? Math.round(Math.max(0, used) / coreTicks * 1000) / 10 : 0,
+      rss: p.rss,
+      memPercent: ram?.totalBytes ? Math.round(p.rss / ram.totalBytes * 1000) / 10 : null
+    };
+  });
+  list.sort(sort === 'mem' ? (a, b) => b.rss - a.rss : (a, b) => b.cpu - a.cpu || b.rss - a.rss);
+  const top = list.slice(0, limit);
+  await Promise.all(top.map(async p => { p.command = (await readCmdline(p.pid, { args })) || `[${p.name}]`; }));
+  return { total: list.length, windowMs, processes: top };
+}
+
+// --- Disk ---
+// Same numbers as df: free is what non-root users can still write
+async function diskUsage(mount) {
+  const s = await fs.promises.statfs(mount);
+  const total = s.blocks * s.bsize;
+  const used = (s.blocks - s.bfree) * s.bsize;
+  const free = s.bavail * s.bsize;
+  return {
+    total: +(total / 1e9).toFixed(1),
+    used: +(used / 1e9).toFixed(1),
+    free: +(free / 1e9).toFixed(1),
+    percent: total ? Math.round((used / total) * 100) : 0,
+    usedBytes: used,
+    totalBytes: total,
+    freeBytes: free,
+    // btrfs and some network filesystems report no inode limit
+    inodes: s.files ? {
+      used: s.files - s.ffree,
+      total: s.files,
+      percent: Math.round(((s.files - s.ffree) / s.files) * 100)
+    } : null
+  };
+}
+
+async function getDisk() {
+  try {
+    return await diskUsage('/');
+  } catch (err) {
+    console.error('getDisk failed:', err.message);
+    return null;
+  }
+}
+
+// --- Mounts ---
+// Filesystem types auto-discovery treats as real storage (not tmpfs, overlay, squashfs, proc, ...)
+const REAL_FS_TYPES = ['ext2', 'ext3', 'ext4', 'xfs', 'btrfs', 'zfs', 'f2fs', 'jfs', 'reiserfs', 'vfat', 'exfat',
+  'ntfs', 'ntfs3', 'fuseblk', 'nfs', 'nfs4', 'cifs', 'smb3'];
+
+// /proc/mounts → [{ device, mount, fstype }]; paths escape spaces etc. as octal (\040)
+async function readMountTable() {
+  const unescape = s => s.replace(/\\([0-7]{3})/g, (_, o) => String.fromCharCode(parseInt(o, 8)));
+  const raw = await fs.promises.readFile('/proc/mounts', 'utf8');
+  return raw.split('\n').filter(Boolean).map(line => {
+    const [device, mount, fstype] = line.split(' ');
+    return { device: unescape(device), mount: unescape(mount), fstype };
+  });
+}
+
+// "/" plus every real filesystem, one mount point per device (the shortest — bind mounts
+// and btrfs subvolumes repeat a device). Files bind-mounted into containers are skipped.
+async function detectMounts() {
+  let table = [];
+  try { table = await readMountTable(); } catch {}
+  const mounts = ['/'];
+  const devices = new Set(table.filter(m => m.mount === '/').map(m => m.device));
+  const candidates = table
+    .filter(m => REAL_FS_TYPES.includes(m.fstype))
+    .sort((a, b) => a.mount.length - b.mount.length);
+  for (const m of candidates) {
+    if (devices.has(m.device) || mounts.includes(m.mount)) continue;
+    const isDir = await fs.promises.stat(m.mount).then(st => st.isDirectory(), () => false);
+    if (!isDir) continue;
+    devices.add(m.device);
+    mounts.push(m.mount);
+  }
+  return mounts;
+}
+
+// --- Disk I/O ---
+// /proc/diskstats per major:minor; sectors are always 512 bytes there
+let lastDiskIo = null;
+
+async function readDiskCounters() {
+  const raw = await fs.promises.readFile('/proc/diskstats', 'utf8');
+  const counters = new Map();
+  for (const line of raw.split('\n').filter(Boolean)) {
+    const f = line.trim().split(/\s+/);
+    counters.set(`${f[0]}:${f[1]}`, { reads: +f[3], readSectors: +f[5], writes: +f[7], writeSectors: +f[9] });
+  }
+  return { time: Date.now(), counters };
+}
+
+// Rates since the previous reading of the live sampler (zeros on the first one, like the network speed).
+// History keeps its own baseline (readHistoryDiskIo), so neither resets the other's.
+async function readDiskIo() {
+  const prev = lastDiskIo;
+  lastDiskIo = await readDiskCounters();
+  return diskIoRates(prev, lastDiskIo);
+}
+
+function diskIoRates(prev, { time: now, counters }) {
+  const rates = new Map();
+  const dt = prev ? (now - prev.time) / 1000 : 0;
+  for (const [key, c] of counters) {
+    const p = prev?.counters.get(key);
+    const rate = (a, b) => (p && dt > 0 ? Math.max(0, Math.round((a - b) / dt)) : 0);
+    rates.set(key, {
+      read: rate(c.readSectors * 512, p?.readSectors * 512),
+      write: rate(c.writeSectors * 512, p?.writeSectors * 512),
+      readOps: rate(c.reads, p?.reads),
+      writeOps: rate(c.writes, p?.writes)
+    });
+  }
+  return rates;
+}
+
+// stat().dev → "major:minor" as /proc/diskstats lists it (Linux dev_t encoding)
+function devKey(dev) {
+  const major = ((dev >>> 8) & 0xfff) | (Math.floor(dev / 2 ** 32) & ~0xfff);
+  const minor = (dev & 0xff) | ((dev >>> 12) & ~0xff);
+  return `${major}:${minor}`;
+}
+
+// --- Disks ---
+// Every watched mount: diskMounts from config, or auto-discovered.
+// [{ mount, device, fstype, ...diskUsage, io: { read, write (bytes/s), readOps, writeOps (per s) } | null }]
+// A mount that can't be read comes back as { mount, error }. `readIo` supplies the rates (the live sampler's by default).
+async function getDisks({ readIo = readDiskIo } = {}) {
+  const mounts = Array.isArray(CONFIG.diskMounts) ? CONFIG.diskMounts : await detectMounts();
+  const [table, io] = await Promise.all([
+    readMountTable().catch(() => []),
+    readIo().catch(() => new Map())
+  ]);
+  return Promise.all(mounts.map(async mount => {
+    // The last entry for a path is the one mounted on top
+    const info = table.filter(m => m.mount === mount).pop();
     try {
-      const status = await systemctl(`is-active ${svc}`);
-      const tsRaw = await systemctl(`show ${svc} --property=ActiveEnterTimestamp`);
-      const ts = tsRaw.replace('ActiveEnterTimestamp=', '').trim();
-      const active = status === 'active';
-      let uptime = 'N/A';
-      if (active && ts) {
-        const since = new Date(ts);
-        if (!isNaN(since)) uptime = formatDuration(Math.floor((Date.now() - since) / 1000));
-      }
-      results.push({ name: svc, active, uptime });
+      const [usage, st] = await Promise.all([diskUsage(mount), fs.promises.stat(mount)]);
+      return { mount, device: info?.device ?? null, fstype: info?.fstype ?? null, ...usage, io: io.get(devKey(st.dev)) ?? null };
     } catch (err) {
-      console.error(`getSystemdServices failed for ${svc}:`, err.message);
-      results.push({ name: svc, active: false, uptime: 'N/A' });
+      return { mount, device: info?.device ?? null, fstype: info?.fstype ?? null, error: err.code === 'ENOENT' ? 'not found' : err.message };
+    }
+  }));
+}
+
+// --- Network ---
+// /proc/net/dev → Map name → counters. Names match exactly, so eth0 never picks up veth0abc.
+async function readNetCounters() {
+  const raw = await fs.promises.readFile('/proc/net/dev', 'utf8');
+  const counters = new Map();
+  for (const line of raw.split('\n').slice(2)) {
+    const colon = line.indexOf(':');
+    if (colon < 0) continue;
+    const f = line.slice(colon + 1).trim().split(/\s+/).map(Number);
+    counters.set(line.slice(0, colon).trim(), {
+      rxBytes: f[0], rxPackets: f[1], rxErrors: f[2], rxDrops: f[3],
+      txBytes: f[8], txPackets: f[9], txErrors: f[10], txDrops: f[11]
+    });
+  }
+  return counters;
+}
+
+// networkIface (the one on the Network card) first, then networkIfaces
+function trackedIfaces() {
+  const extra = Array.isArray(CONFIG.networkIfaces) ? CONFIG.networkIfaces : [];
+  return [...new Set([CONFIG.networkIface, ...extra].filter(Boolean))];
+}
+
+// --- Transfer totals ---
+// Daily and monthly rx/tx per tracked interface, kept across restarts for bandwidth quotas.
+// { last: { iface: { rx, tx } }, days: { 'YYYY-MM-DD': { iface: { rx, tx } } }, months: { 'YYYY-MM': {...} } }
+const NET_TOTALS_FILE = path.join(__dirname, 'data', 'net-totals.json');
+const NET_TOTALS_DAYS = 62;
+const NET_TOTALS_MONTHS = 24;
+let netTotals = null;
+let netTotalsSavedAt = 0;
+
+function localDay(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Months start on networkMonthStart (1–28) to line up with a VPS billing cycle:
+// with 15, "2026-10" runs from Oct 15 to Nov 14
+function billingMonth(d = new Date()) {
+  const startDay = CONFIG.networkMonthStart || 1;
+  const m = new Date(d.getFullYear(), d.getMonth() - (d.getDate() < startDay ? 1 : 0), 1);
+  return `${m.getFullYear()}-${String(m.getMonth() + 1).padStart(2, '0')}`;
+}
+
+async function loadNetTotals() {
+  try {
+    netTotals = JSON.parse(await fs.promises.readFile(NET_TOTALS_FILE, 'utf8'));
+  } catch {
+    netTotals = {};
+  }
+  netTotals.last = netTotals.last || {};
+  netTotals.days = netTotals.days || {};
+  netTotals.months = netTotals.months || {};
+}
+
+async function accumulateNetTotals(counters) {
+  if (!netTotals) await loadNetTotals();
+  const day = localDay();
+  const month = billingMonth();
+  const add = (bucket, name, rx, tx) => {
+    const t = (bucket[name] = bucket[name] || { rx: 0, tx: 0 });
+    t.rx += rx;
+    t.tx += tx;
+  };
+  // Counters start over after a reboot or when an interface is recreated
+  const delta = (now, before) => (now >= before ? now - before : now);
+  for (const name of trackedIfaces()) {
+    const c = counters.get(name);
+    if (!c) continue;
+    const last = netTotals.last[name];
+    if (last) {
+      const rx = delta(c.rxBytes, last.rx);
+      const tx = delta(c.txBytes, last.tx);
+      add((netTotals.days[day] = netTotals.days[day] || {}), name, rx, tx);
+      add((netTotals.months[month] = netTotals.months[month] || {}), name, rx, tx);
+    }
+    netTotals.last[name] = { rx: c.rxBytes, tx: c.txBytes };
+  }
+  const keep = (obj, n) => Object.fromEntries(Object.entries(obj).sort(([a], [b]) => (a < b ? 1 : -1)).slice(0, n));
+  netTotals.days = keep(netTotals.days, NET_TOTALS_DAYS);
+  netTotals.months = keep(netTotals.months, NET_TOTALS_MONTHS);
+  // At most one write a minute; a crash loses that minute, never double-counts it
+  if (Date.now() - netTotalsSavedAt >= 60 * 1000) {
+    netTotalsSavedAt = Date.now();
+    await fs.promises.mkdir(path.dirname(NET_TOTALS_FILE), { recursive: true });
+    await fs.promises.writeFile(NET_TOTALS_FILE, JSON.stringify(netTotals));
+  }
+}
+
+// { rx, tx } for the current day or billing month
+function netTotal(name, period) {
+  const bucket = period === 'day' ? netTotals?.days[localDay()] : netTotals?.months[billingMonth()];
+  return { ...(bucket?.[name] || { rx: 0, tx: 0 }) };
+}
+
+// --- Network Speed ---
+let lastNet = null;
+
+// { up, down } of networkIface (bytes/s), plus ifaces: [{ name, up, down, rxPackets, txPackets (per s),
+// rxErrors, txErrors, rxDrops, txDrops (since boot), today, month: { rx, tx } }] — { name, missing: true } when absent
+async function getNetworkSpeed() {
+  try {
+    if (CONFIG.networkIface === 'auto') CONFIG.networkIface = await detectNetworkIface();
+    const now = Date.now();
+    const counters = await readNetCounters();
+    const prev = lastNet;
+    lastNet = { time: now, counters };
+    await accumulateNetTotals(counters).catch(err => console.error('Network totals failed:', err.message));
+    const dt = prev ? (now - prev.time) / 1000 : 0;
+    const ifaces = trackedIfaces().map(name => {
+      const c = counters.get(name);
+      if (!c) return { name, missing: true };
+      const p = prev?.counters.get(name);
+      // Zeros on the first reading
+      const rate = key => (p && dt > 0 ? Math.max(0, Math.round((c[key] - p[key]) / dt)) : 0);
+      return {
+        name,
+        up: rate('txBytes'),
+        down: rate('rxBytes'),
+        rxPackets: rate('rxPackets'),
+        txPackets: rate('txPackets'),
+        rxErrors: c.rxErrors,
+        txErrors: c.txErrors,
+        rxDrops: c.rxDrops,
+        txDrops: c.txDrops,
+        today: netTotal(name, 'day'),
+        month: netTotal(name, 'month')
+      };
+    });
+    const primary = ifaces.find(i => i.name === CONFIG.networkIface && !i.missing);
+    return { up: primary?.up ?? 0, down: primary?.down ?? 0, ifaces };
+  } catch (err) {
+    console.error('getNetworkSpeed failed:', err.message);
+    return { up: 0, down: 0, ifaces: [] };
+  }
+}
+
+// --- Docker ---
+// Only names docker itself would accept go into a shell command
+const DOCKER_NAME = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+// docker stats sizes: "12.5MiB", "1.2kB", "0B"
+const DOCKER_UNITS = { b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4 };
+
+function parseDockerSize(text) {
+  const m = /^([\d.]+)\s*([a-z]*)$/i.exec(String(text || '').trim());
+  return m ? Math.round(parseFloat(m[1]) * (DOCKER_UNITS[m[2].toLowerCase() || 'b'] ?? 1)) : null;
+}
+
+// "Up 3 hours (healthy)" → { running, uptime }
+function parseDockerStatus(status) {
+  const running = status.toLowerCase().startsWith('up');
+  return { running, uptime: running ? status.replace(/^Up\s+/i, '').replace(/\s*\((healthy|unhealthy|health: starting|Paused)\)$/i, '') : 'stopped' };
+}
+
+// Labels docker compose puts on the containers it creates
+const COMPOSE_LABELS = {
+  project: 'com.docker.compose.project',
+  service: 'com.docker.compose.service',
+  workingDir: 'com.docker.compose.project.working_dir',
+  configFiles: 'com.docker.compose.project.config_files'
+};
+
+// --- Docker CLI (fallback when the Engine API socket isn't reachable) ---
+async function cliListContainers(all) {
+  const out = await run(`docker ps ${all ? '-a ' : ''}--format '{{.Names}}|{{.Label "${COMPOSE_LABELS.project}"}}|{{.Label "${COMPOSE_LABELS.service}"}}|{{.Status}}'`);
+  return out.split('\n').filter(Boolean).map(line => {
+    const [name, project, service, ...rest] = line.split('|');
+    return { name, project: project || null, service: service || null, ...parseDockerStatus(rest.join('|')) };
+  });
+}
+
+// name → { image, state, health (healthy | unhealthy | starting | null without a HEALTHCHECK), restarts, exitCode }
+async function cliInspectContainers(names) {
+  const safe = names.filter(n => DOCKER_NAME.test(n));
+  if (!safe.length) return new Map();
+  const out = await run(`docker inspect --format '{{.Name}}|{{.Config.Image}}|{{.State.Status}}|{{if .State.Health}}{{.State.Health.Status}}{{end}}|{{.RestartCount}}|{{.State.ExitCode}}' ${safe.join(' ')}`);
+  return new Map(out.split('\n').filter(Boolean).map(line => {
+    const [name, image, state, health, restarts, exitCode] = line.split('|');
+    return [name.replace(/^\//, ''), { image, state, health: health || null, restarts: Number(restarts) || 0, exitCode: Number(exitCode) || 0 }];
+  }));
+}
+
+// name → { cpu %, memUsed, memLimit, memPercent, netRx, netTx, blockRead, blockWrite } (bytes; I/O counted since start)
+async function cliContainerStats(names) {
+  const safe = names.filter(n => DOCKER_NAME.test(n));
+  if (!safe.length) return new Map();
+  const out = await run(`docker stats --no-stream --format '{{.Name}}|{{.CPUPerc}}|{{.MemUsage}}|{{.MemPerc}}|{{.NetIO}}|{{.BlockIO}}' ${safe.join(' ')}`, 10000);
+  return new Map(out.split('\n').filter(Boolean).map(line => {
+    const [name, cpu, mem, memPercent, netIo, blockIo] = line.split('|');
+    const pair = text => String(text || '').split('/').map(parseDockerSize);
+    const [memUsed, memLimit] = pair(mem);
+    const [netRx, netTx] = pair(netIo);
+    const [blockRead, blockWrite] = pair(blockIo);
+    return [name, { cpu: parseFloat(cpu) || 0, memUsed, memLimit, memPercent: parseFloat(memPercent) || 0, netRx, netTx, blockRead, blockWrite }];
+  }));
+}
+
+// --- Docker Engine API ---
+// dockerHost in config, else DOCKER_HOST: unix:///path/to/docker.sock or tcp://host:port (plain HTTP)
+function dockerTarget() {
+  const host = CONFIG.dockerHost || process.env.DOCKER_HOST || 'unix:///var/run/docker.sock';
+  if (host.startsWith('unix://')) return { socketPath: host.slice('unix://'.length) };
+  const url = new URL(host.replace(/^tcp:/, 'http:'));
+  return { host: url.hostname, port: Number(url.port) || 2375 };
+}
+
+// Resolves the response stream; timeoutMs 0 leaves it open (log follow)
+function dockerRequest(method, apiPath, { body = null, timeoutMs = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body != null ? JSON.stringify(body) : null;
+    const headers = { Host: 'docker' };
+    if (payload) Object.assign(headers, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+    const req = http.request({ ...dockerTarget(), method, path: apiPath, headers }, resolve);
+    if (timeoutMs) req.setTimeout(timeoutMs, () => req.destroy(new Error('Docker API timeout')));
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+// JSON (or text) reply; 4xx/5xx throw with the daemon's message and err.status
+async function dockerApi(method, apiPath, opts) {
+  const res = await dockerRequest(method, apiPath, opts);
+  const chunks = [];
+  for await (const chunk of res) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString();
+  let data = text;
+  try { data = text ? JSON.parse(text) : null; } catch {}
+  if (res.statusCode >= 400) {
+    const err = new Error(data?.message || `Docker API ${res.statusCode}`);
+    err.status = res.statusCode;
+    throw err;
+  }
+  return data;
+}
+
+// Whether the socket answers, re-checked every 30 s so a daemon that starts or stops later is picked up
+const DOCKER_PING_TTL = 30 * 1000;
+let dockerApiState = { ok: false, checkedAt: 0 };
+
+async function dockerApiReady() {
+  if (Date.now() - dockerApiState.checkedAt < DOCKER_PING_TTL) return dockerApiState.ok;
+  let ok = false;
+  try {
+    ok = (await dockerApi('GET', '/_ping', { timeoutMs: 1000 })) === 'OK';
+  } catch {}
+  dockerApiState = { ok, checkedAt: Date.now() };
+  return ok;
+}
+
+const containerPath = name => `/containers/${encodeURIComponent(name)}`;
+
+async function apiListContainers(all) {
+  const list = await dockerApi('GET', `/containers/json${all ? '?all=1' : ''}`);
+  return list.map(c => ({
+    name: (c.Names?.[0] || c.Id).replace(/^\//, ''),
+    project: c.Labels?.[COMPOSE_LABELS.project] || null,
+    service: c.Labels?.[COMPOSE_LABELS.service] || null,
+    ...parseDockerStatus(c.Status || '')
+  }));
+}
+
+function apiContainerDetails(info) {
+  return {
+    image: info.Config?.Image || null,
+    state: info.State?.Status || null,
+    health: info.State?.Health?.Status || null,
+    restarts: info.RestartCount || 0,
+    exitCode: info.State?.ExitCode ?? 0
+  };
+}
+
+// Same numbers as `docker stats`: CPU against the daemon's previous sample, memory without inactive page cache
+function apiContainerStats(s) {
+  const cpuDelta = (s.cpu_stats?.cpu_usage?.total_usage || 0) - (s.precpu_stats?.cpu_usage?.total_usage || 0);
+  const systemDelta = (s.cpu_stats?.system_cpu_usage || 0) - (s.precpu_stats?.system_cpu_usage || 0);
+  const cpus = s.cpu_stats?.online_cpus || s.cpu_stats?.cpu_usage?.percpu_usage?.length || 1;
+  const mem = s.memory_stats || {};
+  const memUsed = Math.max(0, (mem.usage || 0) - (mem.stats?.inactive_file ?? mem.stats?.total_inactive_file ?? mem.stats?.cache ?? 0));
+  const nets = Object.values(s.networks || {});
+  const blkio = s.blkio_stats?.io_service_bytes_recursive || [];
+  const blk = op => blkio.filter(e => e.op.toLowerCase() === op).reduce((sum, e) => sum + e.value, 0);
+  return {
+    cpu: cpuDelta > 0 && systemDelta > 0 ? Math.round(cpuDelta / systemDelta * cpus * 10000) / 100 : 0,
+    memUsed,
+    memLimit: mem.limit || null,
+    memPercent: mem.limit ? Math.round(memUsed / mem.limit * 10000) / 100 : 0,
+    netRx: nets.reduce((sum, n) => sum + (n.rx_bytes || 0), 0),
+    netTx: nets.reduce((sum, n) => sum + (n.tx_bytes || 0), 0),
+    blockRead: blk('read'),
+    blockWrite: blk('write')
+  };
+}
+
+// name → value for each name the daemon answered for
+async function apiPerContainer(names, fetchOne) {
+  const entries = await Promise.all(names.map(name => fetchOne(name).then(v => [name, v], () => null)));
+  return new Map(entries.filter(Boolean));
+}
+
+// Non-TTY log streams are multiplexed: 8-byte frame header (stream, 0, 0, 0, uint32 BE size), then the payload
+function dockerLogDemuxer(onText) {
+  let pending = Buffer.alloc(0);
+  return chunk => {
+    pending = Buffer.concat([pending, chunk]);
+    while (pending.length >= 8) {
+      const size = pending.readUInt32BE(4);
+      if (pending.length < 8 + size) break;
+      onText(pending.subarray(8, 8 + size).toString());
+      pending = pending.subarray(8 + size);
+    }
+  };
+}
+
+// --- Docker (API first, CLI fallback) ---
+async function listContainers({ all = true } = {}) {
+  return (await dockerApiReady()) ? apiListContainers(all) : cliListContainers(all);
+}
+
+async function containerNames({ all = true } = {}) {
+  try {
+    return (await listContainers({ all })).map(c => c.name);
+  } catch {
+    return [];
+  }
+}
+
+// "project:<name>" entries in dockerContainers select every container of that compose project,
+// including ones added to it later
+const PROJECT_PREFIX = 'project:';
+
+function selectContainers(listed) {
+  if (CONFIG.dockerContainers === 'auto') return listed;
+  const selected = new Map();
+  for (const entry of CONFIG.dockerContainers) {
+    if (entry.startsWith(PROJECT_PREFIX)) {
+      const project = entry.slice(PROJECT_PREFIX.length);
+      for (const c of listed.filter(c => c.project === project)) selected.set(c.name, c);
+    } else if (!selected.has(entry)) {
+      selected.set(entry, listed.find(c => c.name === entry) || { name: entry, project: null, service: null, running: false, uptime: '' });
+    }
+  }
+  return [...selected.values()];
+}
+
+// Containers the dashboard may act on
+async function watchedContainerNames() {
+  if (CONFIG.dockerContainers === 'auto') return containerNames();
+  const listed = await listContainers().catch(() => []);
+  return selectContainers(listed).map(c => c.name);
+}
+
+// Stack actions reach containers beyond the ones listed, so they need the whole project selected
+function stackSelected(project) {
+  return CONFIG.dockerContainers === 'auto' || CONFIG.dockerContainers.includes(PROJECT_PREFIX + project);
+}
+
+// One entry per compose project among the watched containers: { name, total, running, unhealthy, actions }
+function composeStacks(containers) {
+  const stacks = new Map();
+  for (const c of containers) {
+    if (!c.project) continue;
+    if (!stacks.has(c.project)) stacks.set(c.project, { name: c.project, total: 0, running: 0, unhealthy: 0, actions: stackSelected(c.project) });
+    const stack = stacks.get(c.project);
+    stack.total++;
+    if (c.running && c.state !== 'paused') stack.running++;
+    if (c.health === 'unhealthy') stack.unhealthy++;
+  }
+  return [...stacks.values()];
+}
+
+// restart | start | stop | pause | unpause; resolves with the container's state afterwards
+const CONTAINER_ACTIONS = ['restart', 'start', 'stop', 'pause', 'unpause'];
+
+async function containerAction(name, action) {
+  // Give (re)started containers a moment so a crash loop shows up in the reported state
+  const settle = action === 'restart' || action === 'start';
+  if (await dockerApiReady()) {
+    const grace = action === 'restart' || action === 'stop' ? '?t=10' : '';
+    await dockerApi('POST', `${containerPath(name)}/${action}${grace}`, { timeoutMs: 20000 });
+    if (settle) await sleep(1500);
+    return (await dockerApi('GET', `${containerPath(name)}/json`)).State?.Status || 'unknown';
+  }
+  await run(`docker ${action} ${name}`, 15000);
+  if (settle) await sleep(1500);
+  return (await run(`docker inspect --format '{{.State.Status}}' ${name}`)) || 'unknown';
+}
+
+// --- Pull and recreate (Engine API only) ---
+// "nginx" pulls every tag unless one is given, so untagged references get :latest
+function imageReference(image) {
+  const lastPart = image.split('/').pop();
+  return image.includes('@') || lastPart.includes(':') ? image : `${image}:latest`;
+}
+
+// Streams `docker pull` progress as { message, percent } (percent over the layers seen downloading so far)
+async function pullImage(image, onProgress) {
+  const res = await dockerRequest('POST', `/images/create?fromImage=${encodeURIComponent(imageReference(image))}`, { timeoutMs: 60000 });
+  const layers = new Map();
+  let buf = '';
+  let failure = res.statusCode >= 400 ? `Docker API ${res.statusCode}` : null;
+  const onLine = line => {
+    let event;
+    try { event = JSON.parse(line); } catch { return; }
+    if (event.error) {
+      failure = event.errorDetail?.message || event.error;
+      return;
+    }
+    if (event.id && event.progressDetail?.total) layers.set(event.id, event.progressDetail);
+    else if (event.id && /complete|already exists/i.test(event.status || '')) {
+      const layer = layers.get(event.id);
+      if (layer) layer.current = layer.total;
     }
+    const total = [...layers.values()].reduce((sum, l) => sum + l.total, 0);
+    const current = [...layers.values()].reduce((sum, l) => sum + Math.min(l.current || 0, l.total), 0);
+    onProgress({
+      message: event.id ? `${event.id}: ${event.status}` : event.status,
+      percent: total ? Math.round(current / total * 100) : null
+    });
+  };
+  for await (const chunk of res) {
+    buf += chunk.toString();
+    let idx;
+    while ((idx = buf.indexOf('\n')) !== -1) {
+      onLine(buf.slice(0, idx));
+      buf = buf.slice(idx + 1);
+    }
+  }
+  if (buf.trim()) onLine(buf);
+  if (failure) throw new Error(failure);
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The container's own settings: inspect merges in the old image's defaults (env, cmd, labels, ...),
+// which would otherwise pin them over whatever the new image ships
+function containerOwnConfig(config, imageConfig = {}) {
+  const own = { ...config };
+  own.Env = (config.Env || []).filter(e => !(imageConfig.Env || []).includes(e));
+  own.Labels = Object.fromEntries(Object.entries(config.Labels || {}).filter(([k, v]) => imageConfig.Labels?.[k] !== v));
+  for (const key of ['Cmd', 'Entrypoint', 'WorkingDir', 'User', 'Volumes', 'ExposedPorts', 'Healthcheck', 'StopSignal']) {
+    if (sameValue(config[key], imageConfig[key])) delete own[key];
+  }
+  return own;
+}
+
+// Create body for a replacement of `info` (GET /containers/{name}/json) running `image`
+function recreateSpec(info, image, imageConfig) {
+  const { Hostname, ...config } = containerOwnConfig(info.Config, imageConfig);
+  // Volumes the container got from the image (anonymous or named on the fly) are re-attached by name
+  const hostConfig = { ...info.HostConfig };
+  const mounted = new Set([...(hostConfig.Binds || []).map(b => b.split(':')[1]), ...(hostConfig.Mounts || []).map(m => m.Target)]);
+  const extraBinds = (info.Mounts || [])
+    .filter(m => m.Type === 'volume' && !mounted.has(m.Destination))
+    .map(m => `${m.Name}:${m.Destination}${m.RW === false ? ':ro' : ''}`);
+  if (extraBinds.length) hostConfig.Binds = [...(hostConfig.Binds || []), ...extraBinds];
+  const networks = Object.entries(info.NetworkSettings?.Networks || {}).map(([net, ep]) => [net, {
+    IPAMConfig: ep.IPAMConfig || null,
+    Links: ep.Links || null,
+    // Docker adds the short container id as an alias; the new container gets its own
+    Aliases: (ep.Aliases || []).filter(a => !info.Id.startsWith(a))
+  }]);
+  return {
+    body: {
+      ...config,
+      // A generated hostname is the old container's short id
+      ...(Hostname && !info.Id.startsWith(Hostname) ? { Hostname } : {}),
+      Image: image,
+      HostConfig: hostConfig,
+      NetworkingConfig: { EndpointsConfig: Object.fromEntries(networks.slice(0, 1)) }
+    },
+    // Older daemons take one network at create time; the rest are connected before start
+    moreNetworks: networks.slice(1)
+  };
+}
+
+// Pull the container's image and, if that brought a new one, replace the container with the same settings.
+// The old container is renamed aside until the new one has started, and restored if anything fails.
+async function recreateContainer(name, onProgress) {
+  if (!(await dockerApiReady())) {
+    const err = new Error('Pull and recreate needs the Docker Engine API (see dockerHost)');
+    err.status = 501;
+    throw err;
+  }
+  const info = await dockerApi('GET', `${containerPath(name)}/json`);
+  const image = info.Config.Image;
+  onProgress({ message: `Pulling ${image}`, percent: 0 });
+  await pullImage(image, onProgress);
+  const pulled = await dockerApi('GET', `/images/${encodeURIComponent(imageReference(image))}/json`);
+  if (pulled.Id === info.Image) {
+    onProgress({ message: 'Image is up to date', percent: 100 });
+    return { status: info.State.Status, image, imageId: pulled.Id, recreated: false };
+  }
+  const oldImage = await dockerApi('GET', `/images/${encodeURIComponent(info.Image)}/json`).catch(() => ({}));
+  const spec = recreateSpec(info, image, oldImage.Config);
+  const aside = `${name}-pulse-old-${Date.now()}`;
+
+  onProgress({ message: `Stopping ${name}` });
+  if (info.State.Running) await dockerApi('POST', `${containerPath(name)}/stop?t=10`, { timeoutMs: 30000 });
+  await dockerApi('POST', `${containerPath(name)}/rename?name=${encodeURIComponent(aside)}`);
+  let created = null;
+  try {
+    onProgress({ message: `Creating ${name}` });
+    created = await dockerApi('POST', `/containers/create?name=${encodeURIComponent(name)}`, { body: spec.body });
+    for (const [net, endpoint] of spec.moreNetworks) {
+      await dockerApi('POST', `/networks/${encodeURIComponent(net)}/connect`, { body: { Container: created.Id, EndpointConfig: endpoint } });
+    }
+    onProgress({ message: `Starting ${name}` });
+    await dockerApi('POST', `/containers/${created.Id}/start`, { timeoutMs: 20000 });
+  } catch (err) {
+    onProgress({ message: `Failed (${err.message}), restoring the previous container` });
+    if (created) await dockerApi('DELETE', `/containers/${created.Id}?force=1`).catch(() => {});
+    await dockerApi('POST', `${containerPath(aside)}/rename?name=${encodeURIComponent(name)}`).catch(() => {});
+    if (info.State.Running) await dockerApi('POST', `${containerPath(name)}/start`).catch(() => {});
+    throw err;
+  }
+  await dockerApi('DELETE', containerPath(aside)).catch(err => onProgress({ message: `Could not remove ${aside}: ${err.message}` }));
+  await sleep(1500);
+  const status = (await dockerApi('GET', `${containerPath(name)}/json`)).State?.Status || 'unknown';
+  onProgress({ message: `${name} is ${status}`, percent: 100 });
+  return { status, image, imageId: pulled.Id, recreated: true };
+}
+
+// Calls onLine for each log line (last 50, then new ones) and onEnd when the stream closes; returns a stop function
+async function followContainerLogs(name, onLine, onEnd, { since } = {}) {
+  let buf = '';
+  const onText = text => {
+    buf += text;
+    let idx;
+    while ((idx = buf.indexOf('\n')) !== -1) {
+      onLine(buf.slice(0, idx));
+      buf = buf.slice(idx + 1);
+    }
+  };
+
+  if (await dockerApiReady()) {
+    const info = await dockerApi('GET', `${containerPath(name)}/json`);
+    const res = await dockerRequest('GET', `${containerPath(name)}/logs?follow=1&stdout=1&stderr=1&${since ? `since=${since}` : 'tail=50'}`, { timeoutMs: 0 });
+    if (res.statusCode >= 400) {
+      res.resume();
+      throw new Error(`Docker API ${res.statusCode}`);
+    }
+    res.on('data', info.Config?.Tty ? chunk => onText(chunk.toString()) : dockerLogDemuxer(onText));
+    res.on('end', onEnd);
+    res.on('error', onEnd);
+    return () => res.destroy();
+  }
+
+  const child = spawn('docker', ['logs', '-f', ...(since ? ['--since', String(since)] : ['--tail', '50']), name], { stdio: ['ignore', 'pipe', 'pipe'] });
+  child.stdout.on('data', chunk => onText(chunk.toString()));
+  child.stderr.on('data', chunk => onText(chunk.toString()));
+  child.on('error', () => onEnd(new Error('Failed to spawn docker logs')));
+  child.on('exit', () => onEnd());
+  return () => child.kill('SIGTERM');
+}
+
+// --- Compose stacks ---
+const STACK_ACTIONS = ['restart', 'up', 'pull'];
+const COMPOSE_TIMEOUT = 10 * 60 * 1000;
+
+// Where the project was brought up from, read back from its containers' labels
+async function composeProjectFiles(project) {
+  const filter = `${COMPOSE_LABELS.project}=${project}`;
+  if (await dockerApiReady()) {
+    const [c] = await dockerApi('GET', `/containers/json?all=1&filters=${encodeURIComponent(JSON.stringify({ label: [filter] }))}`);
+    return { workingDir: c?.Labels?.[COMPOSE_LABELS.workingDir] || null, configFiles: c?.Labels?.[COMPOSE_LABELS.configFiles] || null };
+  }
+  const out = await run(`docker ps -a --filter label=${filter} --format '{{.Label "${COMPOSE_LABELS.workingDir}"}}|{{.Label "${COMPOSE_LABELS.configFiles}"}}'`);
+  const [workingDir, configFiles] = (out.split('\n')[0] || '').split('|');
+  return { workingDir: workingDir || null, configFiles: configFiles || null };
+}
+
+// `docker compose <args>` against the project's own files; each output line is reported as progress
+async function runCompose(project, args, onProgress) {
+  const { workingDir, configFiles } = await composeProjectFiles(project);
+  if (!workingDir) throw new Error(`${project} has no compose working directory label`);
+  const files = configFiles ? configFiles.split(',').flatMap(f => ['-f', f]) : [];
+  await new Promise((resolve, reject) => {
+    const child = spawn('docker', ['compose', '-p', project, '--project-directory', workingDir, ...files, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    const timer = setTimeout(() => child.kill('SIGTERM'), COMPOSE_TIMEOUT);
+    let last = '';
+    let buf = '';
+    const onData = chunk => {
+      buf += chunk.toString();
+      const lines = buf.split(/\r?\n|\r/);
+      buf = lines.pop();
+      for (const line of lines.map(stripAnsi).map(l => l.trim()).filter(Boolean)) {
+        last = line;
+        onProgress({ message: line });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('error', err => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to run docker compose: ${err.message}`));
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(signal ? `docker compose ${args[0]} timed out` : last || `docker compose ${args[0]} exited with ${code}`));
+    });
+  });
+}
+
+// restart: every container of the project, one after another; up / pull: `docker compose up -d` / `pull`
+async function stackAction(project, action, onProgress) {
+  const members = (await listContainers()).filter(c => c.project === project);
+  if (action === 'restart') {
+    for (const [i, c] of members.entries()) {
+      onProgress({ message: `Restarting ${c.name}`, percent: Math.round(i / members.length * 100) });
+      await containerAction(c.name, 'restart');
+    }
+  } else {
+    await runCompose(project, action === 'up' ? ['up', '-d'] : ['pull'], onProgress);
+  }
+  const after = (await listContainers()).filter(c => c.project === project);
+  const running = after.filter(c => c.running).length;
+  onProgress({ message: `${running}/${after.length} running`, percent: 100 });
+  return { status: `${running}/${after.length} running`, running, total: after.length, containers: after.map(c => ({ name: c.name, running: c.running })) };
+}
+
+// Restart counts over the last hour, for container_restart_loop rules: name → [{ ts, count }]
+const RESTART_LOG_MS = 60 * 60 * 1000;
+const containerRestartLog = new Map();
+
+function logRestarts(containers) {
+  const now = Date.now();
+  for (const c of containers) {
+    if (c.restarts == null) continue;
+    const log = (containerRestartLog.get(c.name) || []).filter(e => now - e.ts <= RESTART_LOG_MS);
+    log.push({ ts: now, count: c.restarts });
+    containerRestartLog.set(c.name, log);
+  }
+}
+
+// Restarts in the last `minutes`, measured from the oldest sample inside that window
+function restartsWithin(log, minutes) {
+  const since = Date.now() - minutes * 60 * 1000;
+  const recent = (log || []).filter(e => e.ts >= since);
+  if (recent.length < 2) return 0;
+  return Math.max(0, recent[recent.length - 1].count - recent[0].count);
+}
+
+async function getDockerContainers() {
+  try {
+    const api = await dockerApiReady();
+    const listed = api ? await apiListContainers(true) : await cliListContainers(true);
+    const containers = selectContainers(listed);
+    const present = containers.filter(c => listed.includes(c)).map(c => c.name);
+    const running = containers.filter(c => c.running).map(c => c.name);
+    const [details, stats] = await Promise.all(api ? [
+      apiPerContainer(present, async name => apiContainerDetails(await dockerApi('GET', `${containerPath(name)}/json`))),
+      apiPerContainer(running, async name => apiContainerStats(await dockerApi('GET', `${containerPath(name)}/stats?stream=false`, { timeoutMs: 10000 })))
+    ] : [cliInspectContainers(present), cliContainerStats(running)]);
+    const result = containers.map(c => ({
+      ...c,
+      image: null, state: !listed.includes(c) ? 'missing' : c.running ? 'running' : 'exited', health: null, restarts: null, exitCode: null,
+      ...details.get(c.name),
+      stats: stats.get(c.name) || null
+    }));
+    logRestarts(result);
+    return result;
+  } catch (err) {
+    console.error('getDockerContainers failed:', err.message);
+    return [];
+  }
+}
+
+// --- Systemd Services ---
+// A unit lives in the system manager or in the user's (`systemctl --user`); every call goes to the scope
+// that has it loaded, system first
+const SYSTEMD_SCOPES = ['system', 'user'];
+const UNIT_PROPERTIES = ['LoadState', 'ActiveState', 'SubState', 'MainPID', 'MemoryCurrent', 'NRestarts', 'ExecMainStatus', 'Result', 'UnitFileState', 'ActiveEnterTimestamp'];
+const SERVICE_ACTIONS = ['restart', 'start', 'stop', 'enable', 'disable'];
+
+function systemctlCmd(scope, args) {
+  return `systemctl ${scope === 'user' ? '--user ' : ''}${args}`;
+}
+
+function parseSystemctlShow(out) {
+  return Object.fromEntries(out.split('\n').filter(l => l.includes('=')).map(l => [l.slice(0, l.indexOf('=')), l.slice(l.indexOf('=') + 1).trim()]));
+}
+
+// { scope: system | user | null (not found in either), props }
+async function unitStatus(name) {
+  for (const scope of SYSTEMD_SCOPES) {
+    try {
+      const props = parseSystemctlShow(await run(systemctlCmd(scope, `show ${name} --property=${UNIT_PROPERTIES.join(',')}`)));
+      if (props.LoadState === 'loaded' || props.LoadState === 'masked') return { scope, props };
+    } catch {}
+  }
+  return { scope: null, props: {} };
+}
+
+// MemoryCurrent is "[not set]" or 2^64-1 without memory accounting
+function unitNumber(value, { unset } = {}) {
+  return /^\d+$/.test(value || '') && value !== unset ? Number(value) : null;
+}
+
+function unitSummary(name, { scope, props }) {
+  const active = props.ActiveState === 'active';
+  let uptime = 'N/A';
+  if (active && props.ActiveEnterTimestamp) {
+    const since = new Date(props.ActiveEnterTimestamp);
+    if (!isNaN(since)) uptime = formatDuration(Math.floor((Date.now() - since) / 1000));
+  }
+  return {
+    name,
+    scope,
+    active,
+    uptime,
+    state: scope ? props.ActiveState : 'not-found',
+    subState: props.SubState || null,
+    pid: unitNumber(props.MainPID) || null,
+    memory: unitNumber(props.MemoryCurrent, { unset: '18446744073709551615' }),
+    restarts: unitNumber(props.NRestarts),
+    exitCode: unitNumber(props.ExecMainStatus),
+    result: props.Result || null,
+    enabled: props.UnitFileState || null
+  };
+}
+
+async function getSystemdServices() {
+  const results = [];
+  for (const svc of CONFIG.systemdServices) {
+    results.push(unitSummary(svc, await unitStatus(svc)));
   }
   return results;
 }
 
+// Every unit in the failed state on the host, configured or not: [{ name, scope, subState, description }]
+async function getFailedUnits() {
+  const units = [];
+  for (const scope of SYSTEMD_SCOPES) {
+    let out = '';
+    try { out = await run(systemctlCmd(scope, 'list-units --state=failed --no-legend --no-pager --plain')); } catch { continue; }
+    for (const line of out.split('\n').filter(Boolean)) {
+      const [name, , , subState, ...description] = line.trim().split(/\s+/);
+      units.push({ name, scope, subState: subState || null, description: description.join(' ') });
+    }
+  }
+  return units;
+}
+
+// systemctl's exit status counts here (run() would swallow it): a refused action — "Access denied" or
+// "Interactive authentication required" for a system unit when Pulse isn't root — rejects with its message
+function systemctlAction(scope, action, name) {
+  return new Promise((resolve, reject) => {
+    execFile('systemctl', [...(scope === 'user' ? ['--user'] : []), action, name], { timeout: 10000 }, (err, stdout, stderr) => {
+      if (!err) return resolve();
+      const message = String(stderr).split('\n').map(l => l.trim()).find(Boolean)
+        || (err.killed ? `systemctl ${action} timed out` : `systemctl ${action} failed (${err.code})`);
+      const error = new Error(message);
+      error.status = /access denied|authentication required|not permitted/i.test(message) ? 403 : 500;
+      reject(error);
+    });
+  });
+}
+
+// restart | start | stop | enable | disable in the unit's own scope; resolves with its summary afterwards
+async function serviceAction(name, action) {
+  const { scope } = await unitStatus(name);
+  if (!scope) {
+    const err = new Error(`Unit ${name} not found`);
+    err.status = 404;
+    throw err;
+  }
+  await systemctlAction(scope, action, name);
+  if (action === 'restart' || action === 'start') await sleep(1500);
+  return unitSummary(name, await unitStatus(name));
+}
+
+// Follows the unit's journal in its own scope: the last 50 lines, or everything since a unix time; resolves with a stop function
+async function followServiceLogs(name, onLine, onEnd, { since } = {}) {
+  const { scope } = await unitStatus(name);
+  const args = [...(scope === 'user' ? ['--user'] : []), '-u', name, '-f', '--no-pager', ...(since ? ['--since', `@${since}`] : ['-n', '50'])];
+  const child = spawn('journalctl', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+  let buf = '';
+  const onData = chunk => {
+    buf += chunk.toString();
+    let idx;
+    while ((idx = buf.indexOf('\n')) !== -1) {
+      onLine(buf.slice(0, idx));
+      buf = buf.slice(idx + 1);
+    }
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+
+  let ended = false;
+  const end = err => {
+    if (ended) return;
+    ended = true;
+    onEnd(err);
+  };
+  child.on('error', () => end(new Error('Failed to spawn journalctl')));
+  child.on('exit', () => end());
+  return () => child.kill('SIGTERM');
+}
+
 // --- Bot Status ---
 const botCache = {};
 const BOT_CACHE_FILE = path.join(__dirname, 'data', 'bot-cache.json');
@@ -542,8 +2869,7 @@ async function fetchBotStatus(name, profile) {
 
     // Uptime from systemd
     const svcName = profile ? `openclaw-${profile}` : 'openclaw-gateway';
-    const tsRaw = await systemctl(`show ${svcName} --property=ActiveEnterTimestamp`);
-    const ts = tsRaw.replace('ActiveEnterTimestamp=', '').trim();
+    const ts = (await unitStatus(svcName)).props.ActiveEnterTimestamp;
     let uptime = 'N/A';
     if (ts) {
       const since = new Date(ts);
@@ -590,6 +2916,389 @@ function getBotStatus(name, profile) {
   return Promise.resolve({ name, ...(cached ? cached.data : { online: false, lastActive: '--', model: '--', uptime: '--' }) });
 }
 
+// --- Probes ---
+// HTTP(S), TCP and ping checks from config.probes, each on its own interval. The latest result and the last
+// PROBE_RECENT checks stay in memory for the dashboard and alert rules; every check is also appended to
+// probe-history.jsonl for /api/history.
+const PROBE_HISTORY_FILE = path.join(__dirname, 'data', 'probe-history.jsonl');
+const PROBE_HISTORY_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+const PROBE_DEFAULTS = { interval: 60, timeout: 10 };
+const PROBE_RECENT = 60;
+const probeResults = new Map(); // name → { last: { ts, up, ms, status?, error? }, recent: [{ ts, up, ms }], nextAt, running }
+
+function probeState(name) {
+  if (!probeResults.has(name)) probeResults.set(name, { last: null, recent: [], nextAt: 0, running: false });
+  return probeResults.get(name);
+}
+
+function probeTarget(probe) {
+  if (probe.type === 'http') return probe.url;
+  return probe.type === 'tcp' ? `${probe.host}:${probe.port}` : probe.host;
+}
+
+// Each runner resolves { up, ms, status?, error? } and never rejects.
+// http: up on the expected status (any status below 400 by default) with expectBody in the body, if set
+async function httpProbe(probe, timeoutMs) {
+  const started = Date.now();
+  let res;
+  try {
+    res = await httpRequest(probe.url, { timeoutMs, rejectUnauthorized: probe.rejectUnauthorized !== false });
+  } catch (err) {
+    return { up: false, ms: Date.now() - started, error: err.message === 'timeout' ? `No response within ${timeoutMs / 1000}s` : err.message };
+  }
+  const ms = Date.now() - started;
+  if (probe.expectStatus ? res.status !== probe.expectStatus : res.status >= 400) {
+    return { up: false, ms, status: res.status, error: `HTTP ${res.status}${probe.expectStatus ? ` (expected ${probe.expectStatus})` : ''}` };
+  }
+  if (probe.expectBody && !res.body.includes(probe.expectBody)) {
+    return { up: false, ms, status: res.status, error: `Response does not contain "${probe.expectBody}"` };
+  }
+  return { up: true, ms, status: res.status };
+}
+
+// tcp: time to an accepted connection
+function tcpProbe(probe, timeoutMs) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    const socket = net.connect({ host: probe.host, port: probe.port });
+    const done = error => {
+      socket.destroy();
+      resolve({ up: !error, ms: Date.now() - started, ...(error && { error }) });
+    };
+    socket.setTimeout(timeoutMs, () => done(`No connection within ${timeoutMs / 1000}s`));
+    socket.once('connect', () => done(null));
+    socket.once('error', err => done(err.message));
+  });
+}
+
+// ping: one ICMP echo. ping exits non-zero without a reply, which run() hands back as empty output.
+async function pingProbe(probe, timeoutMs) {
+  const started = Date.now();
+  const out = await run(`ping -c 1 -W ${Math.ceil(timeoutMs / 1000)} ${probe.host}`, timeoutMs + 2000);
+  if (!out) return { up: false, ms: Date.now() - started, error: 'No reply' };
+  const m = /time[=<]([\d.]+) ?ms/.exec(out);
+  return { up: true, ms: m ? parseFloat(m[1]) : Date.now() - started };
+}
+
+const PROBE_RUNNERS = { http: httpProbe, tcp: tcpProbe, ping: pingProbe };
+
+async function runProbe(probe) {
+  const result = await PROBE_RUNNERS[probe.type](probe, (probe.timeout ?? PROBE_DEFAULTS.timeout) * 1000);
+  return { ts: Date.now(), ...result, ms: Math.round(result.ms * 10) / 10 };
+}
+
+function recordProbe(name, result) {
+  const state = probeState(name);
+  state.last = result;
+  state.recent.push({ ts: result.ts, up: result.up, ms: result.ms });
+  if (state.recent.length > PROBE_RECENT) state.recent.shift();
+}
+
+// Refill the in-memory results from the history file so sparklines survive a restart
+async function loadProbeHistory() {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(PROBE_HISTORY_FILE, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Probe history load error:', err.message);
+    return;
+  }
+  const names = new Set((CONFIG.probes || []).map(p => p.name));
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    try {
+      const { probe, ...result } = JSON.parse(line);
+      if (names.has(probe)) recordProbe(probe, result);
+    } catch {}
+  }
+}
+
+async function checkProbe(probe) {
+  const state = probeState(probe.name);
+  state.running = true;
+  state.nextAt = Date.now() + (probe.interval ?? PROBE_DEFAULTS.interval) * 1000;
+  try {
+    const result = await runProbe(probe);
+    recordProbe(probe.name, result);
+    await fs.promises.mkdir(path.dirname(PROBE_HISTORY_FILE), { recursive: true });
+    await fs.promises.appendFile(PROBE_HISTORY_FILE, JSON.stringify({ probe: probe.name, ...result }) + '\n');
+  } catch (err) {
+    console.error(`Probe ${probe.name} error:`, err.message);
+  } finally {
+    state.running = false;
+  }
+}
+
+function startProbeWorker() {
+  const count = (CONFIG.probes || []).length;
+  // A slow probe only holds up itself: each one runs whenever its interval has passed and it isn't still running.
+  // The list is read on every tick, so probes added by a config save, import or rollback start without a restart.
+  const tick = () => {
+    const now = Date.now();
+    for (const probe of CONFIG.probes || []) {
+      const state = probeState(probe.name);
+      if (!state.running && now >= state.nextAt) checkProbe(probe);
+    }
+  };
+  loadProbeHistory().then(() => {
+    tick();
+    setInterval(tick, 1000);
+    setInterval(() => pruneHistory(PROBE_HISTORY_FILE, PROBE_HISTORY_MAX_AGE), 60 * 60 * 1000);
+  });
+  if (count) console.log(`🌐 Probe worker started (${count} probe${count === 1 ? '' : 's'})`);
+}
+
+// Dashboard view in config order: latest result, uptime over the recent checks and their latencies (null while down)
+function probeSummaries() {
+  return (CONFIG.probes || []).map(probe => {
+    const state = probeResults.get(probe.name);
+    const last = state?.last;
+    const recent = state?.recent || [];
+    return {
+      name: probe.name,
+      type: probe.type,
+      target: probeTarget(probe),
+      up: last ? last.up : null,
+      ms: last?.ms ?? null,
+      status: last?.status ?? null,
+      error: last?.error ?? null,
+      checkedAt: last?.ts ?? null,
+      uptime: recent.length ? Math.round(recent.filter(r => r.up).length / recent.length * 1000) / 10 : null,
+      recent: recent.map(r => (r.up ? r.ms : null))
+    };
+  });
+}
+
+// --- Certificates ---
+// Leaf certificates from config.certificates: a TLS handshake with host:port, or PEM files under a path
+// (/etc/letsencrypt/live and the like). Checked at startup and every 6 hours; days left are counted when read.
+const CERT_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+const CERT_TIMEOUT = 10000;
+const CERT_FILE = /\.(pem|crt|cer)$/i;
+// Replaced in place, so the alert snapshot's reference stays current between samples
+const certResults = []; // [{ name, source, subject, issuer, sans, validFrom, validTo, fingerprint, verifyError? } | { name, source, error }]
+let certCheckedAt = null;
+
+function certDaysLeft(cert) {
+  return Math.floor((cert.validTo - Date.now()) / (24 * 60 * 60 * 1000));
+}
+
+// "C=US\nO=Let's Encrypt\nCN=R3" → { C, O, CN }
+function parseDn(dn) {
+  return Object.fromEntries((dn || '').split('\n').map(part => part.split('=')).filter(p => p.length > 1).map(([k, ...v]) => [k, v.join('=')]));
+}
+
+function certInfo(x509) {
+  const subject = parseDn(x509.subject);
+  const issuer = parseDn(x509.issuer);
+  return {
+    subject: subject.CN || subject.O || x509.subject,
+    issuer: issuer.CN && issuer.O ? `${issuer.CN} (${issuer.O})` : issuer.CN || issuer.O || x509.issuer,
+    sans: (x509.subjectAltName || '').split(', ').filter(Boolean).map(s => s.replace(/^(DNS|IP Address):/, '')),
+    validFrom: Date.parse(x509.validFrom),
+    validTo: Date.parse(x509.validTo),
+    fingerprint: x509.fingerprint256
+  };
+}
+
+// The certificate the endpoint presents, valid or not; verifyError says why Node wouldn't trust it
+function fetchRemoteCert(entry) {
+  return new Promise((resolve, reject) => {
+    const servername = entry.servername || (net.isIP(entry.host) ? undefined : entry.host);
+    const socket = tls.connect({ host: entry.host, port: entry.port ?? 443, servername, rejectUnauthorized: false }, () => {
+      const peer = socket.getPeerCertificate();
+      const verifyError = socket.authorized ? null : String(socket.authorizationError);
+      socket.destroy();
+      if (!peer?.raw) return reject(new Error('No certificate presented'));
+      resolve({ ...certInfo(new crypto.X509Certificate(peer.raw)), verifyError });
+    });
+    socket.setTimeout(CERT_TIMEOUT, () => socket.destroy(new Error(`No handshake within ${CERT_TIMEOUT / 1000}s`)));
+    socket.on('error', reject);
+  });
+}
+
+// .pem/.crt/.cer files under dir (following symlinks, three levels deep); names with "key" are skipped
+async function findCertFiles(dir, depth = 3) {
+  const files = [];
+  for (const name of (await fs.promises.readdir(dir)).sort()) {
+    const file = path.join(dir, name);
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (stat?.isDirectory() && depth > 1) files.push(...await findCertFiles(file, depth - 1));
+    else if (stat?.isFile() && CERT_FILE.test(name) && !/key/i.test(name)) files.push(file);
+  }
+  return files;
+}
+
+// First certificate in each file. From a directory each certificate is reported once — live/<domain>/ has the same
+// leaf in cert.pem and fullchain.pem — and CA certificates that issued another one found there (chain.pem) are left out.
+async function readLocalCerts(target) {
+  const isDir = (await fs.promises.stat(target)).isDirectory();
+  const found = new Map(); // fingerprint → { file, x509 }
+  for (const file of isDir ? await findCertFiles(target) : [target]) {
+    const pem = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/.exec(await fs.promises.readFile(file, 'utf8').catch(() => ''));
+    if (!pem) continue;
+    try {
+      const x509 = new crypto.X509Certificate(pem[0]);
+      if (!found.has(x509.fingerprint256)) found.set(x509.fingerprint256, { file, x509 });
+    } catch {}
+  }
+  const all = [...found.values()];
+  const certs = all
+    .filter(c => !(c.x509.ca && all.some(o => o !== c && o.x509.checkIssued(c.x509))))
+    .map(c => ({ source: c.file, ...certInfo(c.x509) }));
+  if (!certs.length) throw new Error(isDir ? 'No certificates found' : 'Not a PEM certificate');
+  return certs;
+}
+
+async function checkCertEntry(entry) {
+  const source = entry.host ? `${entry.host}:${entry.port ?? 443}` : entry.path;
+  try {
+    if (entry.host) return [{ name: entry.name, source, ...(await fetchRemoteCert(entry)) }];
+    return (await readLocalCerts(entry.path)).map(cert => ({ name: entry.name, ...cert }));
+  } catch (err) {
+    const error = { ENOENT: 'Not found', EACCES: 'Permission denied' }[err.code] || err.message;
+    return [{ name: entry.name, source, error }];
+  }
+}
+
+async function checkCertificates() {
+  const results = (await Promise.all((CONFIG.certificates || []).map(checkCertEntry))).flat();
+  certResults.splice(0, certResults.length, ...results);
+  certCheckedAt = Date.now();
+}
+
+// Checks config.certificates as it is now, then cert_expiry rules right away rather than on the next alert tick.
+// Also run whenever the config is applied, so added entries are checked and removed ones dropped.
+function runCertCheck() {
+  return checkCertificates()
+    .then(() => evaluateAlerts(rule => rule.metric === 'cert_expiry'))
+    .catch(err => console.error('Certificate check error:', err.message));
+}
+
+function startCertWorker() {
+  const count = (CONFIG.certificates || []).length;
+  // The first check waits for a metrics snapshot for its rules to be evaluated against
+  getLatestMetrics().catch(() => {}).then(runCertCheck);
+  setInterval(runCertCheck, CERT_CHECK_INTERVAL);
+  if (count) console.log(`🔒 Certificate checks started (${count} entr${count === 1 ? 'y' : 'ies'}, every 6h)`);
+}
+
+// Dashboard view, soonest expiry first; errors last
+function certSummaries() {
+  return certResults
+    .map(c => ({
+      ...c,
+      ...(!c.error && { validFrom: new Date(c.validFrom).toISOString(), validTo: new Date(c.validTo).toISOString(), daysLeft: certDaysLeft(c) }),
+      checkedAt: certCheckedAt
+    }))
+    .sort((a, b) => (a.error ? 1 : 0) - (b.error ? 1 : 0) || (a.daysLeft ?? 0) - (b.daysLeft ?? 0));
+}
+
+// --- Log watchers ---
+// log_match rules follow their unit's journal or container's log; each matching line is kept (timestamped) for the
+// rule's window and log_match rules are re-checked right away instead of on the next tick. A follower that ends or
+// fails reconnects after LOG_RETRY, picking up from where it stopped. syncLogWatchers() runs at startup and on every
+// config apply: followers no rule needs any more are stopped, new ones started, and patterns swapped in place.
+const LOG_RETRY = 10 * 1000;
+const LOG_MATCHES_KEPT = 500;
+const LOG_LINE_MAX = 300;
+const logMatches = new Map(); // logRuleKey → [{ ts, line }]
+const logWatchers = new Map(); // "source:name" → { matchers: [{ key, regex }], stop }
+let logCheckPending = null;
+
+// Follows a log until the returned function is called
+function watchLog(source, name, onLine) {
+  let since = Math.ceil(Date.now() / 1000);
+  let lastError = null;
+  let stopped = false;
+  let stopFollower = null;
+  let retryTimer = null;
+  const follow = source === 'docker' ? followContainerLogs : followServiceLogs;
+  const connect = () => {
+    // A follower may report its end more than once (exit after error); only the first schedules the reconnect
+    let ended = false;
+    const retry = err => {
+      if (ended || stopped) return;
+      ended = true;
+      stopFollower = null;
+      if (err && err.message !== lastError) console.error(`Log watcher ${source}:${name} error:`, err.message);
+      lastError = err ? err.message : null;
+      since = Math.ceil(Date.now() / 1000);
+      retryTimer = setTimeout(connect, LOG_RETRY);
+    };
+    follow(name, line => {
+      lastError = null;
+      onLine(line);
+    }, retry, { since }).then(stop => {
+      if (stopped) stop();
+      else if (!ended) stopFollower = stop;
+    }, retry);
+  };
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    if (stopFollower) stopFollower();
+  };
+}
+
+function checkLogRules() {
+  if (logCheckPending) return;
+  logCheckPending = setTimeout(() => {
+    logCheckPending = null;
+    evaluateAlerts(r => r.metric === 'log_match');
+  }, 1000);
+}
+
+function syncLogWatchers() {
+  const rules = (CONFIG.alerts?.rules || []).filter(r => r.metric === 'log_match');
+  const targets = new Map(); // "source:name" → [{ key, regex }]
+  for (const rule of rules) {
+    const target = `${rule.source}:${rule.name}`;
+    const matchers = targets.get(target) || [];
+    const key = logRuleKey(rule);
+    if (!matchers.some(m => m.key === key)) matchers.push({ key, regex: new RegExp(rule.pattern, rule.ignoreCase ? 'i' : '') });
+    targets.set(target, matchers);
+  }
+
+  for (const [target, watcher] of logWatchers) {
+    if (targets.has(target)) continue;
+    watcher.stop();
+    logWatchers.delete(target);
+  }
+  const keys = new Set([...targets.values()].flat().map(m => m.key));
+  for (const key of logMatches.keys()) {
+    if (!keys.has(key)) logMatches.delete(key);
+  }
+
+  let started = 0;
+  for (const [target, matchers] of targets) {
+    const existing = logWatchers.get(target);
+    if (existing) {
+      existing.matchers = matchers;
+      continue;
+    }
+    const watcher = { matchers, stop: null };
+    const [source, ...rest] = target.split(':');
+    watcher.stop = watchLog(source, rest.join(':'), raw => {
+      const line = stripAnsi(raw).trim();
+      let matched = false;
+      for (const { key, regex } of watcher.matchers) {
+        if (!regex.test(line)) continue;
+        const hits = logMatches.get(key) || [];
+        hits.push({ ts: Date.now(), line: line.length > LOG_LINE_MAX ? line.slice(0, LOG_LINE_MAX) + '…' : line });
+        if (hits.length > LOG_MATCHES_KEPT) hits.splice(0, hits.length - LOG_MATCHES_KEPT);
+        logMatches.set(key, hits);
+        matched = true;
+      }
+      if (matched) checkLogRules();
+    });
+    logWatchers.set(target, watcher);
+    started++;
+  }
+  if (started) console.log(`📜 Log watchers: following ${targets.size} log${targets.size === 1 ? '' : 's'} for ${rules.length} rule${rules.length === 1 ? '' : 's'}`);
+}
+
 // --- Weather ---
 let weatherCache = null;
 let weatherCacheTime = 0;
@@ -693,21 +3402,93 @@ function formatBytes(bytes) {
 const HISTORY_FILE = path.join(__dirname, 'data', 'history.jsonl');
 const HISTORY_INTERVAL = 5 * 60 * 1000; // 5 minutes
 const HISTORY_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+// Fields of a history sample /api/history can chart (plus coreN for each CPU core)
+const HISTORY_METRICS = [
+  'cpu', 'cpuUser', 'cpuSystem', 'cpuIowait', 'cpuSteal', 'load1', 'load5', 'load15',
+  'ram', 'swap', 'memPressure', 'disk', 'diskInodes', 'diskRead', 'diskWrite', 'diskIops', 'netUp', 'netDown',
+  'temp', 'sensor', 'containerCpu', 'containerMem', 'probeLatency', 'probeUptime'
+];
+// netUp/netDown take &iface= (default networkIface). Older samples stored raw byte counters there and have no
+// "nets" field — they are skipped.
+// disk* metrics read the per-mount series (&mount=, default /); plain "disk" without a mount is the root filesystem
+const DISK_HISTORY_FIELDS = { disk: 'used', diskInodes: 'inodes', diskRead: 'read', diskWrite: 'write', diskIops: 'iops' };
+// temp is the CPU temperature; sensor needs &sensor=<id> and covers every temperature, fan and voltage reading
+// containerCpu (%) and containerMem (bytes) need &container=<name>
+const CONTAINER_HISTORY_FIELDS = { containerCpu: 'cpu', containerMem: 'mem' };
+// probeLatency (ms, successful checks only) and probeUptime (% of checks up) need &probe=<name> and read
+// probe-history.jsonl, which keeps 7 days
+const PROBE_HISTORY_METRICS = ['probeLatency', 'probeUptime'];
+
+// Average rates between two history samples (not the instantaneous sampler rate).
+// null on the first sample after a start, when there is nothing to compare with.
+let lastHistoryNet = null;
+
+function historyNetRates(counters) {
+  const prev = lastHistoryNet;
+  const now = Date.now();
+  lastHistoryNet = { time: now, counters };
+  if (!prev) return null;
+  const dt = (now - prev.time) / 1000;
+  const rate = (a, b) => Math.max(0, Math.round((a >= b ? a - b : a) / dt));
+  const nets = {};
+  for (const name of trackedIfaces()) {
+    const c = counters.get(name);
+    const p = prev.counters.get(name);
+    if (c && p) nets[name] = { up: rate(c.txBytes, p.txBytes), down: rate(c.rxBytes, p.rxBytes) };
+  }
+  return nets;
+}
+
+// Disk I/O averaged over the same span; no rates (io: null) on the first sample after a start
+let lastHistoryDiskIo = null;
+
+async function readHistoryDiskIo() {
+  const prev = lastHistoryDiskIo;
+  lastHistoryDiskIo = await readDiskCounters();
+  return prev ? diskIoRates(prev, lastHistoryDiskIo) : new Map();
+}
 
 // T49 — Collect a snapshot and append to history.jsonl
 async function collectHistorySample() {
   try {
-    const [cpu, ram, disk, netStats] = await Promise.all([
-      getCpuUsage(), getRam(), getDisk(), readNetStats()
+    const [cpu, ram, disks, counters, pressure, sensors] = await Promise.all([
+      getCpuUsage(), getRam(), getDisks({ readIo: readHistoryDiskIo }), readNetCounters().catch(() => new Map()), getPressure(), getSensors()
     ]);
+    const disk = disks.find(d => d.mount === '/' && !d.error) || await getDisk();
+    const nets = historyNetRates(counters);
     // T50 — Data schema
     const sample = {
       ts: Date.now(),
-      cpu: cpu ?? 0,
+      cpu: cpu?.usage ?? 0,
       ram: ram?.percent ?? 0,
       disk: disk?.percent ?? 0,
-      netUp: netStats?.tx ?? 0,
-      netDown: netStats?.rx ?? 0
+      netUp: nets?.[CONFIG.networkIface]?.up,
+      netDown: nets?.[CONFIG.networkIface]?.down,
+      cpuUser: cpu?.user,
+      cpuSystem: cpu?.system,
+      cpuIowait: cpu?.iowait,
+      cpuSteal: cpu?.steal,
+      cores: cpu?.cores,
+      load1: cpu?.load[0],
+      load5: cpu?.load[1],
+      load15: cpu?.load[2],
+      swap: ram?.swap.percent,
+      memPressure: pressure?.memory?.some?.avg60,
+      // Per mount: used %, inodes used %, read/write bytes/s and read+write ops/s since the previous sample
+      disks: Object.fromEntries(disks.filter(d => !d.error).map(d => [d.mount, {
+        used: d.percent,
+        inodes: d.inodes?.percent,
+        read: d.io?.read,
+        write: d.io?.write,
+        iops: d.io ? d.io.readOps + d.io.writeOps : undefined
+      }])),
+      // Per interface: average bytes/s since the previous sample
+      nets,
+      temp: cpuTempReading(sensors)?.value,
+      sensors: Object.fromEntries(sensors.map(s => [s.id, s.value])),
+      // Per container, from the sampler's latest snapshot (docker stats takes a couple of seconds)
+      containers: Object.fromEntries((latestMetrics?.services?.docker || []).filter(c => c.stats)
+        .map(c => [c.name, { cpu: c.stats.cpu, mem: c.stats.memUsed }]))
     };
     const dir = path.dirname(HISTORY_FILE);
     await fs.promises.mkdir(dir, { recursive: true });
@@ -719,17 +3500,17 @@ async function collectHistorySample() {
   }
 }
 
-// T51 — Remove entries older than 30 days
-async function pruneHistory() {
+// T51 — Remove entries older than 30 days (probe history keeps 7)
+async function pruneHistory(file = HISTORY_FILE, maxAge = HISTORY_MAX_AGE) {
   try {
-    const raw = await fs.promises.readFile(HISTORY_FILE, 'utf8');
-    const cutoff = Date.now() - HISTORY_MAX_AGE;
+    const raw = await fs.promises.readFile(file, 'utf8');
+    const cutoff = Date.now() - maxAge;
     const lines = raw.split('\n').filter(Boolean);
     const kept = lines.filter(line => {
       try { return JSON.parse(line).ts >= cutoff; } catch { return false; }
     });
     if (kept.length < lines.length) {
-      await fs.promises.writeFile(HISTORY_FILE, kept.join('\n') + '\n');
+      await fs.promises.writeFile(file, kept.join('\n') + '\n');
     }
   } catch (err) {
     if (err.code !== 'ENOENT') console.error('History prune error:', err.message);
@@ -880,7 +3661,7 @@ async function collectCostSample() {
   }
 }
 
-// T89 — Check if monthly cost exceeds budget, send Telegram alert
+// T89 — Check if monthly cost exceeds budget, notify the budget's channels
 let _budgetAlertSent = false; // prevent repeated alerts within same month
 
 async function checkBudgetAlert(lines) {
@@ -906,8 +3687,9 @@ async function checkBudgetAlert(lines) {
     _budgetAlertSent = currentMonth;
     const serverLabel = CONFIG.label || 'Server';
     const timeStr = new Date().toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
-    sendTelegramMessage(
-      `💰 <b>Pulse Budget Alert</b> — ${serverLabel}\nMonthly cost $${monthCost.toFixed(2)} exceeds budget $${monthlyBudget.toFixed(2)}\n${timeStr}`
+    notify(
+      `💰 <b>Pulse Budget Alert</b> — ${serverLabel}\nMonthly cost $${monthCost.toFixed(2)} exceeds budget $${monthlyBudget.toFixed(2)}\n${timeStr}`,
+      { event: 'budget', channels: budget.channels }
     ).catch(() => {});
   }
 }
@@ -919,21 +3701,199 @@ async function checkBudgetAlert(lines) {
 // --- Health check ---
 app.get('/api/health', (req, res) => res.json({ ok: true }));
 
-// --- Current config (for settings form pre-fill) ---
-app.get('/api/config', (req, res) => res.json(CONFIG));
+// --- Current user + role (role is admin for everyone while auth is disabled) ---
+app.get('/api/me', (req, res) => {
+  if (!CONFIG.auth?.enabled) return res.json({ authEnabled: false, username: null, role: 'admin' });
+  res.json({ authEnabled: true, username: req.user.username, role: req.user.role, session: !!req.session });
+});
+
+// --- Login / logout ---
+app.post('/api/login', (req, res) => {
+  if (!CONFIG.auth?.enabled) return res.status(400).json({ ok: false, error: 'Auth is not enabled' });
+  const remaining = lockoutRemaining(req.ip);
+  if (remaining) return sendLockout(res, remaining);
+  const { username, password } = req.body || {};
+  const user = typeof username === 'string' && typeof password === 'string' ? findUser(username, password) : null;
+  if (!user) {
+    recordLoginFailure(req.ip);
+    const lockedFor = lockoutRemaining(req.ip);
+    if (lockedFor) return sendLockout(res, lockedFor);
+    return res.status(401).json({ ok: false, error: 'Invalid username or password' });
+  }
+  loginFailures.delete(req.ip);
+  const { cookie, session } = createSession(user.username);
+  setSessionCookies(req, res, cookie, session);
+  res.json({ ok: true, username: user.username, role: user.role });
+});
+
+app.post('/api/logout', (req, res) => {
+  if (req.session) sessions.delete(req.session.id);
+  clearSessionCookies(res);
+  res.json({ ok: true });
+});
+
+// --- API tokens (admin) ---
+app.get('/api/tokens', requireRole('admin'), (req, res) => {
+  res.json({ scopes: TOKEN_SCOPES, tokens: apiTokens.map(publicToken) });
+});
+
+// Body: { name, scopes: [...], expiresInDays } — the response is the only time the token is shown
+app.post('/api/tokens', audited('token.create', req => ({ target: req.body?.name, params: { scopes: req.body?.scopes, expiresInDays: req.body?.expiresInDays } })), requireRole('admin'), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) return res.status(400).json({ ok: false, error: 'Name is required' });
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(sc => !TOKEN_SCOPES.includes(sc))) {
+      return res.status(400).json({ ok: false, error: `Scopes must be a non-empty list of: ${TOKEN_SCOPES.join(', ')}` });
+    }
+    const days = Number(expiresInDays) || 0;
+    if (days < 0) return res.status(400).json({ ok: false, error: 'Invalid expiry' });
+    const token = 'pulse_' + crypto.randomBytes(32).toString('base64url');
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      hash: hashToken(token),
+      createdAt: Date.now(),
+      expiresAt: days ? Date.now() + days * 86400000 : null,
+      lastUsedAt: null,
+      lastUsedIp: null
+    };
+    apiTokens.push(entry);
+    await saveApiTokens();
+    res.json({ ok: true, token, ...publicToken(entry) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.delete('/api/tokens/:id', audited('token.revoke', req => ({ target: req.params.id })), requireRole('admin'), async (req, res) => {
+  try {
+    const before = apiTokens.length;
+    apiTokens = apiTokens.filter(t => t.id !== req.params.id);
+    if (apiTokens.length === before) return res.status(404).json({ ok: false, error: 'Token not found' });
+    await saveApiTokens();
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// --- Audit log ---
+// GET /api/audit?user=&action=&ok=&since=&until=&limit=50&offset=0 — newest first.
+// `action` matches exactly or as a prefix ("cron" → cron.create, cron.run, ...)
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  try {
+    let raw = '';
+    try {
+      raw = await fs.promises.readFile(AUDIT_FILE, 'utf8');
+    } catch {}
+    const { user, action, ok } = req.query;
+    const since = req.query.since ? new Date(isNaN(req.query.since) ? req.query.since : Number(req.query.since)).getTime() : 0;
+    const until = req.query.until ? new Date(isNaN(req.query.until) ? req.query.until : Number(req.query.until)).getTime() : Infinity;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const entries = raw.split('\n').filter(Boolean).map(line => {
+      try { return JSON.parse(line); } catch { return null; }
+    }).filter(e => e
+      && (!user || e.user === user)
+      && (!action || e.action === action || e.action.startsWith(action + '.'))
+      && (ok === undefined || ok === '' || String(e.ok) === ok)
+      && e.ts >= since && e.ts <= until
+    ).reverse();
+    res.json({
+      total: entries.length,
+      offset,
+      limit,
+      entries: entries.slice(offset, offset + limit)
+    });
+  } catch (err) {
+    console.error('GET /api/audit error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Current config (for settings form pre-fill; password hashes never leave the server) ---
+app.get('/api/config', requireRole('admin'), (req, res) => {
+  // Secrets come back as SECRET_UNCHANGED; /api/setup swaps them back for the saved values
+  const auth = CONFIG.auth && {
+    ...CONFIG.auth,
+    users: (CONFIG.auth.users || []).map(u => ({ username: u.username, role: u.role }))
+  };
+  res.json(redactSecrets({ ...CONFIG, auth }));
+});
+
+// Write a validated config and hot-reload it — shared by Settings saves and rollbacks
+async function applyConfig(cfg, meta) {
+  await writeConfigFile(cfg, meta);
+
+  // Hot-reload config in-place (no process restart needed)
+  Object.keys(CONFIG).forEach(k => delete CONFIG[k]);
+  Object.assign(CONFIG, cfg);
+  console.log(`Config ${meta.action === 'rollback' ? 'rolled back' : 'saved'} — hot-reloaded`);
+
+  // First save leaves setup mode — /api/setup stops being public from here on
+  if (setupMode) {
+    setupMode = false;
+    startBackgroundWorkers();
+  } else {
+    // Workers that take their targets from the config pick up the new one
+    runCertCheck();
+    syncLogWatchers();
+  }
+}
 
 // --- Save config + restart ---
-app.post('/api/setup', async (req, res) => {
+app.post('/api/setup', audited('config.save', req => ({ params: { sections: Object.keys(req.body || {}) } })), requireRole('admin'), async (req, res) => {
   try {
-    const cfg = req.body;
+    let cfg;
+    try {
+      cfg = restoreSecrets(req.body, CONFIG);
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      return res.status(400).json({ error: err.message, errors: [{ path: err.path, message: 'has no saved value — enter it again' }] });
+    }
+
+    // Users: hash new passwords, keep existing hashes for blank ones
+    if (cfg.auth) {
+      // Keep auth options the form doesn't show (lockout tuning etc.)
+      const { users, ...savedAuth } = CONFIG.auth || {};
+      cfg.auth = { ...savedAuth, ...cfg.auth };
+      if (cfg.auth.username && !Array.isArray(cfg.auth.users)) {
+        cfg.auth.users = [{ username: cfg.auth.username, role: 'admin', password: cfg.auth.password }];
+      }
+      delete cfg.auth.username;
+      delete cfg.auth.password;
+      try {
+        cfg.auth.users = buildUsers(Array.isArray(cfg.auth.users) ? cfg.auth.users : []);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (cfg.auth.enabled && !cfg.auth.users.some(u => u.role === 'admin')) {
+        return res.status(400).json({ error: 'At least one admin user is required when auth is enabled', errors: [{ path: 'auth.users', message: 'needs at least one admin while auth is enabled' }] });
+      }
+    }
+
+    // Normalize form values, then check the whole config before anything is written
+    if (typeof cfg.port === 'string' && cfg.port.trim()) cfg.port = Number(cfg.port);
+    if (Array.isArray(cfg.dockerContainers) && cfg.dockerContainers.length === 0) {
+      cfg.dockerContainers = 'auto';
+    }
+    if (Array.isArray(cfg.diskMounts) && cfg.diskMounts.length === 0) cfg.diskMounts = 'auto';
+    if (cfg.systemdServices === undefined) cfg.systemdServices = [];
+    if (cfg.bots === undefined) cfg.bots = [];
+
+    const errors = validateConfig(cfg);
+    if (errors.length) {
+      return res.status(400).json({ error: `${errors.length} invalid setting${errors.length === 1 ? '' : 's'} — nothing was saved`, errors });
+    }
 
-    // Validate weather location first (if provided, must be a real city)
+    // Weather location (if provided, must be a real city)
     if (cfg.weatherLocation) {
       try {
         const geoData = await httpGet(`https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(cfg.weatherLocation)}&count=1`);
         const geoJson = JSON.parse(geoData);
         if (!geoJson.results || !geoJson.results.length) {
-          return res.status(400).json({ error: 'City not found. Please enter a valid city name.' });
+          return res.status(400).json({ error: 'City not found. Please enter a valid city name.', errors: [{ path: 'weatherLocation', message: 'city not found' }] });
         }
         cfg.weatherLat = geoJson.results[0].latitude;
         cfg.weatherLon = geoJson.results[0].longitude;
@@ -947,104 +3907,569 @@ app.post('/api/setup', async (req, res) => {
       delete cfg.weatherLon;
     }
 
-    // Basic validation
-    if (!cfg.port || isNaN(parseInt(cfg.port))) return res.status(400).json({ error: 'Invalid port' });
+    await applyConfig(cfg, { author: actorName(req), action: 'save' });
+    res.json({ ok: true, port: cfg.port });
+  } catch (err) {
+    console.error('POST /api/setup error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Config history ---
+// Config history and export aren't served in setup mode: requireRole is open then, and both hold credentials
+function notDuringSetup(req, res, next) {
+  if (setupMode) return res.status(409).json({ ok: false, error: 'Not available during setup' });
+  next();
+}
+
+// Which version (if any) config.json currently matches — hand edits leave it null
+async function currentVersionId(versions) {
+  try {
+    const onDisk = JSON.stringify(JSON.parse(await fs.promises.readFile(CONFIG_PATH, 'utf8')));
+    const match = [...versions].reverse().find(v => JSON.stringify(v.config) === onDisk);
+    return match ? match.id : null;
+  } catch {
+    return null;
+  }
+}
+
+app.get('/api/config/history', notDuringSetup, requireRole('admin'), async (req, res) => {
+  const versions = await listConfigVersions();
+  const current = await currentVersionId(versions);
+  const list = versions.map((v, i) => {
+    const prev = i > 0 ? readableConfig(versions[i - 1].config) : null;
+    const changed = prev
+      ? [...new Set(diffConfig(prev, readableConfig(v.config)).map(c => c.path.split(/[.[]/)[0]))]
+      : null;
+    return { id: v.id, ts: v.ts, author: v.author, action: v.action, rollbackOf: v.rollbackOf || null, changed, current: v.id === current };
+  });
+  res.json({ limit: CONFIG.configHistoryLimit || 20, current, versions: list.reverse() });
+});
+
+// ?to=<id|current> (default current) &from=<id|current> (default: the version before `to`)
+app.get('/api/config/diff', notDuringSetup, requireRole('admin'), async (req, res) => {
+  const versions = await listConfigVersions();
+  const resolve = async id => {
+    if (id === 'current') return JSON.parse(await fs.promises.readFile(CONFIG_PATH, 'utf8'));
+    return versions.find(v => v.id === id)?.config;
+  };
+  try {
+    const toId = req.query.to || 'current';
+    const to = await resolve(toId);
+    if (!to) return res.status(404).json({ ok: false, error: `Unknown version ${toId}` });
+    let fromId = req.query.from || null;
+    if (!fromId) {
+      const idx = toId === 'current' ? versions.length : versions.findIndex(v => v.id === toId);
+      fromId = versions[idx - 1]?.id || null;
+    }
+    const from = fromId ? await resolve(fromId) : {};
+    if (!from) return res.status(404).json({ ok: false, error: `Unknown version ${fromId}` });
+    res.json({ from: fromId, to: toId, changes: diffConfig(readableConfig(from), readableConfig(to)) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Restore an old version: validated and hot-reloaded exactly like a save, and recorded as a new version
+app.post('/api/config/rollback', audited('config.rollback', req => ({ target: req.body?.id || null })), notDuringSetup, requireRole('admin'), async (req, res) => {
+  try {
+    const version = (await listConfigVersions()).find(v => v.id === req.body?.id);
+    if (!version) return res.status(404).json({ ok: false, error: 'Unknown version' });
+    const cfg = readableConfig(version.config);
+    const errors = validateConfig(cfg);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: 'That version is not valid with this Pulse release', errors });
+    }
+    await applyConfig(cfg, { author: actorName(req), action: 'rollback', rollbackOf: version.id });
+    res.json({ ok: true, port: cfg.port });
+  } catch (err) {
+    console.error('POST /api/config/rollback error:', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// --- Auto-detect: network interface ---
+app.get('/api/detect/iface', async (req, res) => {
+  const iface = await detectNetworkIface();
+  const ifaces = (await listNetworkIfaces().catch(() => [])).filter(n => n !== 'lo');
+  res.json({ iface, ifaces });
+});
+
+// --- Auto-detect: Docker containers ---
+app.get('/api/detect/docker', async (req, res) => {
+  const listed = await listContainers({ all: false }).catch(() => []);
+  const projects = [...new Set(listed.map(c => c.project).filter(Boolean))]
+    .map(name => ({ name, containers: listed.filter(c => c.project === name).map(c => c.name) }));
+  res.json({ containers: listed.map(c => c.name), projects });
+});
+
+// --- Auto-detect: systemd user services ---
+async function detectServices() {
+  let out = '';
+  try { out = await run('systemctl list-units --type=service --state=active --no-legend --no-pager'); } catch {}
+  try { out += '\n' + await run('systemctl --user list-units --type=service --state=active --no-legend --no-pager'); } catch {}
+  return out.split('\n')
+    .filter(Boolean)
+    .map(line => line.trim().split(/\s+/)[0].replace('.service', ''))
+    .filter(s => s && !s.startsWith('dbus') && !s.startsWith('xdg'));
+}
+
+app.get('/api/detect/services', async (req, res) => {
+  res.json({ services: await detectServices() });
+});
+
+// --- Auto-detect: mounted filesystems (see detectMounts) ---
+app.get('/api/detect/mounts', async (req, res) => {
+  res.json({ mounts: await detectMounts() });
+});
+
+// Temperature sensors for temp rules and cpuTempSensor (ids, current readings, and the one used as CPU temperature)
+app.get('/api/detect/sensors', async (req, res) => {
+  const sensors = (await getSensors()).filter(s => s.kind === 'temp');
+  res.json({ sensors: sensors.map(({ id, value }) => ({ id, value })), cpu: cpuTempReading(sensors)?.id || null });
+});
+
+// --- Config export / import ---
+// Bundle: { pulseBundle: 1, exportedAt, source: { label, hostname }, secrets: 'included' | 'stripped', config }
+const BUNDLE_VERSION = 1;
+
+// Copy without secret fields. Users go too when stripping — an account without its hash can't sign in.
+function stripSecrets(value) {
+  if (Array.isArray(value)) return value.map(stripSecrets);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (!isSecretField(k, value)) out[k] = stripSecrets(v);
+  }
+  return out;
+}
+
+// Whether the field at `path` (as reported by validateConfig) is one stripSecrets leaves out
+function strippedByExport(config, path) {
+  if (path === 'auth.users') return config.auth?.users === undefined;
+  const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+  const key = keys.pop();
+  const parent = keys.reduce((node, k) => node?.[k], config);
+  return !!parent && typeof parent === 'object' && parent[key] === undefined && isSecretField(key, parent);
+}
+
+app.get('/api/config/export', audited('config.export', req => ({ params: { secrets: req.query.secrets === '1' } })), notDuringSetup, requireRole('admin'), async (req, res) => {
+  try {
+    // From disk rather than CONFIG, which carries runtime defaults (resolved iface, cache TTLs)
+    const saved = readableConfig(JSON.parse(await fs.promises.readFile(CONFIG_PATH, 'utf8')));
+    const withSecrets = req.query.secrets === '1';
+    const config = withSecrets ? saved : stripSecrets(saved);
+    if (!withSecrets && config.auth) delete config.auth.users;
+    const name = String(CONFIG.label || os.hostname()).replace(/[^\w.-]+/g, '-');
+    res.set('Content-Disposition', `attachment; filename="pulse-${name}-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json({
+      pulseBundle: BUNDLE_VERSION,
+      exportedAt: Date.now(),
+      source: { label: CONFIG.label || null, hostname: os.hostname() },
+      secrets: withSecrets ? 'included' : 'stripped',
+      config
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Map a bundle onto this host. Nothing is saved: the setup page shows the review list,
+// loads the config into the form, and the normal save applies it.
+// review: [{ kind: mapped | missing | warning, path, value?, from?, to?, message }]
+app.post('/api/config/import', requireRole('admin'), async (req, res) => {
+  const bundle = req.body;
+  if (!bundle || bundle.pulseBundle !== BUNDLE_VERSION || !bundle.config || typeof bundle.config !== 'object') {
+    return res.status(400).json({ ok: false, error: 'Not a Pulse config bundle' });
+  }
+  // Same checks as a save, before anything below relies on the shape of the config. Secrets
+  // missing from a stripped bundle are re-entered in the form, so their errors wait for the save.
+  const errors = validateConfig(bundle.config)
+    .filter(e => bundle.secrets !== 'stripped' || !strippedByExport(bundle.config, e.path));
+  if (errors.length) {
+    return res.status(400).json({ ok: false, error: `The bundle has ${errors.length} invalid setting${errors.length === 1 ? '' : 's'} — nothing was imported`, errors });
+  }
+  try {
+    const config = JSON.parse(JSON.stringify(bundle.config));
+    const [iface, ifaces, listed, services, mounts, sensorList] = await Promise.all([
+      detectNetworkIface(), listNetworkIfaces().catch(() => []), listContainers({ all: false }).catch(() => []), detectServices(), detectMounts(), getSensors()
+    ]);
+    const containers = listed.map(c => c.name);
+    const projects = listed.map(c => c.project).filter(Boolean);
+    const sensors = sensorList.filter(s => s.kind === 'temp').map(s => s.id);
+    const review = [];
+
+    if (config.networkIface && config.networkIface !== 'auto' && !ifaces.includes(config.networkIface)) {
+      review.push({ kind: 'mapped', path: 'networkIface', from: config.networkIface, to: iface, message: `No interface ${config.networkIface} here — using ${iface}` });
+      config.networkIface = iface;
+    }
+    for (const name of Array.isArray(config.networkIfaces) ? config.networkIfaces : []) {
+      if (!ifaces.includes(name)) review.push({ kind: 'missing', path: 'networkIfaces', value: name, message: `No interface ${name} on this host` });
+    }
+    for (const name of Array.isArray(config.systemdServices) ? config.systemdServices : []) {
+      if (!services.includes(name)) review.push({ kind: 'missing', path: 'systemdServices', value: name, message: `Service ${name} is not running on this host` });
+    }
+    for (const name of Array.isArray(config.dockerContainers) ? config.dockerContainers : []) {
+      if (name.startsWith(PROJECT_PREFIX)) {
+        const project = name.slice(PROJECT_PREFIX.length);
+        if (!projects.includes(project)) review.push({ kind: 'missing', path: 'dockerContainers', value: name, message: `No compose project ${project} is running on this host` });
+      } else if (!containers.includes(name)) {
+        review.push({ kind: 'missing', path: 'dockerContainers', value: name, message: `Container ${name} is not running on this host` });
+      }
+    }
+    for (const mount of Array.isArray(config.diskMounts) ? config.diskMounts : []) {
+      if (!mounts.includes(mount)) review.push({ kind: 'missing', path: 'diskMounts', value: mount, message: `Nothing is mounted at ${mount} on this host` });
+    }
+    if (config.cpuTempSensor && !sensors.includes(config.cpuTempSensor)) {
+      review.push({ kind: 'missing', path: 'cpuTempSensor', value: config.cpuTempSensor, message: `No sensor ${config.cpuTempSensor} on this host — CPU temperature is picked automatically` });
+    }
+    (config.alerts?.rules || []).forEach((rule, i) => {
+      if (rule.metric === 'net_quota' && rule.iface && !ifaces.includes(rule.iface)) {
+        review.push({ kind: 'missing', path: `alerts.rules[${i}]`, value: rule.iface, message: `Traffic quota rule watches ${rule.iface}, which does not exist on this host` });
+      }
+      if (rule.metric === 'disk' && rule.mount && !mounts.includes(rule.mount)) {
+        review.push({ kind: 'missing', path: `alerts.rules[${i}]`, value: rule.mount, message: `Disk rule watches ${rule.mount}, which is not mounted on this host` });
+      }
+      if (rule.metric === 'temp' && rule.sensor && !sensors.includes(rule.sensor)) {
+        review.push({ kind: 'missing', path: `alerts.rules[${i}]`, value: rule.sensor, message: `Temperature rule watches sensor ${rule.sensor}, which does not exist on this host` });
+      }
+      const gone = (rule.metric === 'service_down' && !services.includes(rule.name))
+        || (rule.metric.startsWith('container_') && !containers.includes(rule.name));
+      if (gone) review.push({ kind: 'missing', path: `alerts.rules[${i}]`, value: rule.name, message: `Alert rule ${rule.metric} watches ${rule.name}, which is not running on this host` });
+    });
+    (config.bots || []).forEach((bot, i) => {
+      if (bot.stateDir && !fs.existsSync(bot.stateDir)) {
+        review.push({ kind: 'warning', path: `bots[${i}].stateDir`, value: bot.stateDir, message: `Bot ${bot.name}: state directory ${bot.stateDir} does not exist here` });
+      }
+    });
+    if (bundle.secrets === 'stripped') {
+      review.push({ kind: 'warning', path: null, message: 'Exported without secrets — re-enter tokens, passwords and webhook URLs, and add user accounts' });
+    }
+
+    res.json({
+      ok: true,
+      source: bundle.source || null,
+      exportedAt: bundle.exportedAt || null,
+      secrets: bundle.secrets || null,
+      detected: { iface, containers, services, mounts, sensors },
+      config,
+      review
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// --- Metrics ---
+// Gather every metric shown on the dashboard and refresh the alert worker snapshot
+async function collectMetrics() {
+  const botPromises = (CONFIG.bots || []).map(b => getBotStatus(b.name, b.profile).then(r => r ? { ...r, profile: b.profile || null } : r));
+  const [cpu, sensors, ram, disks, network, docker, systemd, failedUnits, weather, pressure, ...botResults] = await Promise.all([
+    getCpuUsage(), getSensors(), getRam(), getDisks(),
+    getNetworkSpeed(), getDockerContainers(), getSystemdServices(), getFailedUnits(),
+    fetchWeather(), getPressure(), ...botPromises
+  ]);
+  const cpuUsage = cpu?.usage ?? null;
+  const cpuSensor = cpuTempReading(sensors);
+  const cpuTemp = cpuSensor ? Math.round(cpuSensor.value) : null;
+  // system.disk stays the root filesystem, watched or not
+  const root = disks.find(d => d.mount === '/' && !d.error);
+  const disk = root ? Object.fromEntries(Object.entries(root).filter(([k]) => !['mount', 'device', 'fstype', 'io'].includes(k))) : await getDisk();
+  const result = {
+    system: {
+      cpu: { ...cpu, usage: cpuUsage, temp: cpuTemp, tempSensor: cpuSensor?.id || null },
+      ram, disk, disks, pressure, sensors,
+      network: {
+        iface: CONFIG.networkIface,
+        up: network.up, down: network.down,
+        upFormatted: formatBytes(network.up),
+        downFormatted: formatBytes(network.down),
+        ifaces: network.ifaces
+      }
+    },
+    services: { docker, dockerStacks: composeStacks(docker), systemd, failedUnits },
+    bots: botResults,
+    probes: probeSummaries(),
+    certificates: certSummaries(),
+    weather,
+    timestamp: Date.now()
+  };
+
+  // Update snapshot for alert worker (T04)
+  lastMetricSnapshot = {
+    cpu: cpuUsage,
+    ram: ram?.percent,
+    disk: disk?.percent,
+    disks: Object.fromEntries(disks.filter(d => !d.error).map(d => [d.mount, d.percent])),
+    iface: CONFIG.networkIface,
+    netTotals: Object.fromEntries(network.ifaces.filter(i => !i.missing).map(i => [i.name, { day: i.today, month: i.month }])),
+    cpuTemp: cpuSensor?.value ?? null,
+    temps: Object.fromEntries(sensors.filter(s => s.kind === 'temp').map(s => [s.id, s.value])),
+    services: systemd,
+    docker,
+    restartLog: containerRestartLog,
+    probes: probeResults,
+    certificates: certResults,
+    logMatches,
+    bots: botResults
+  };
 
-    // Normalize types
-    cfg.port = parseInt(cfg.port);
-    if (Array.isArray(cfg.dockerContainers) && cfg.dockerContainers.length === 0) {
-      cfg.dockerContainers = 'auto';
-    }
-    if (!Array.isArray(cfg.systemdServices)) cfg.systemdServices = [];
-    if (!Array.isArray(cfg.bots)) cfg.bots = [];
+  return result;
+}
+
+// --- Background sampler ---
+// One loop owns the latest snapshot; HTTP handlers and SSE clients only read it,
+// so alerts keep evaluating with no dashboard open and N tabs cost nothing extra.
+let latestMetrics = null;
+let samplerInFlight = null;
+const metricStreamClients = new Set();
+
+function sampleMetrics() {
+  if (!samplerInFlight) {
+    samplerInFlight = collectMetrics()
+      .then(m => { latestMetrics = m; broadcastMetrics(m); return m; })
+      .finally(() => { samplerInFlight = null; });
+  }
+  return samplerInFlight;
+}
 
-    const configPath = path.join(__dirname, 'config.json');
-    await fs.promises.writeFile(configPath, JSON.stringify(cfg, null, 2));
+function broadcastMetrics(m) {
+  const payload = `event: metrics\ndata: ${JSON.stringify(m)}\n\n`;
+  for (const res of metricStreamClients) res.write(payload);
+}
 
-    // Hot-reload config in-place (no process restart needed)
-    Object.keys(CONFIG).forEach(k => delete CONFIG[k]);
-    Object.assign(CONFIG, cfg);
-    console.log('Config saved — hot-reloaded');
+// Latest snapshot, or the in-flight first sample right after startup
+function getLatestMetrics() {
+  return latestMetrics ? Promise.resolve(latestMetrics) : sampleMetrics();
+}
 
-    res.json({ ok: true, port: cfg.port });
+function startMetricsSampler() {
+  const tick = async () => {
+    try {
+      await sampleMetrics();
+    } catch (err) {
+      console.error('Metrics sampler error:', err.message);
+    }
+    setTimeout(tick, (CONFIG.metricsInterval || 10) * 1000);
+  };
+  tick();
+  console.log(`📡 Metrics sampler started (every ${CONFIG.metricsInterval || 10}s)`);
+}
+
+app.get('/api/metrics', async (req, res) => {
+  try {
+    res.json(await getLatestMetrics());
   } catch (err) {
-    console.error('POST /api/setup error:', err.message);
+    console.error('API /metrics error:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// --- Auto-detect: network interface ---
-app.get('/api/detect/iface', async (req, res) => {
-  const iface = await detectNetworkIface();
-  res.json({ iface });
-});
+// --- Top processes: ?sort=cpu|mem&limit=15&window=1000 (ms, 200–5000) ---
+// Command-line arguments only for operators and up; viewers and API tokens (fleet hubs included) get the program alone
+function canSeeCommandLines(req) {
+  if (!CONFIG.auth?.enabled || setupMode) return true;
+  return !req.token && !!req.user && ROLES.indexOf(req.user.role) >= ROLES.indexOf('operator');
+}
 
-// --- Auto-detect: Docker containers ---
-app.get('/api/detect/docker', async (req, res) => {
+app.get('/api/processes', async (req, res) => {
   try {
-    const out = await run('docker ps --format "{{.Names}}"');
-    const containers = out.split('\n').filter(Boolean);
-    res.json({ containers });
-  } catch {
-    res.json({ containers: [] });
+    const sort = req.query.sort === 'mem' ? 'mem' : 'cpu';
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 15));
+    const windowMs = Math.min(5000, Math.max(200, parseInt(req.query.window) || 1000));
+    const args = canSeeCommandLines(req);
+    const result = await getProcesses({ sort, limit, windowMs, args });
+    res.json({ ...result, sort, args, actions: !!CONFIG.processActions });
+  } catch (err) {
+    console.error('GET /api/processes error:', err.message);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// --- Auto-detect: systemd user services ---
-app.get('/api/detect/services', async (req, res) => {
-  try {
-    let out = '';
-      try { out = await run('systemctl list-units --type=service --state=active --no-legend --no-pager'); } catch {}
-      try { out += '\n' + await run('systemctl --user list-units --type=service --state=active --no-legend --no-pager'); } catch {}
-    const services = out.split('\n')
-      .filter(Boolean)
-      .map(line => line.trim().split(/\s+/)[0].replace('.service', ''))
-      .filter(s => s && !s.startsWith('dbus') && !s.startsWith('xdg'));
-    res.json({ services });
-  } catch {
-    res.json({ services: [] });
-  }
+// --- SSE: push every new snapshot ---
+app.get('/api/metrics/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  metricStreamClients.add(res);
+  if (latestMetrics) res.write(`event: metrics\ndata: ${JSON.stringify(latestMetrics)}\n\n`);
+  else sampleMetrics().catch(() => {});
+
+  // Comment line keeps proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    metricStreamClients.delete(res);
+  });
 });
 
-// --- Metrics ---
-app.get('/api/metrics', async (req, res) => {
-  try {
-    const botPromises = (CONFIG.bots || []).map(b => getBotStatus(b.name, b.profile).then(r => r ? { ...r, profile: b.profile || null } : r));
-    const [cpuUsage, cpuTemp, ram, disk, network, docker, systemd, weather, ...botResults] = await Promise.all([
-      getCpuUsage(), getCpuTemp(), getRam(), getDisk(),
-      getNetworkSpeed(), getDockerContainers(), getSystemdServices(),
-      fetchWeather(), ...botPromises
-    ]);
-    const result = {
-      system: {
-        cpu: { usage: cpuUsage, temp: cpuTemp },
-        ram, disk,
-        network: {
-          up: network.up, down: network.down,
-          upFormatted: formatBytes(network.up),
-          downFormatted: formatBytes(network.down)
-        }
-      },
-      services: { docker, systemd },
-      bots: botResults,
-      weather,
-      timestamp: Date.now()
-    };
+// --- Prometheus exporter ---
+// Own bearer-token auth (config.prometheus.token), independent of the dashboard's Basic auth
+function promEscape(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
 
-    // Update snapshot for alert worker (T04)
-    lastMetricSnapshot = {
-      cpu: cpuUsage,
-      ram: ram?.percent,
-      disk: disk?.percent,
-      services: systemd,
-      docker,
-      bots: botResults
-    };
+function promFamily(out, name, type, help, samples) {
+  const rows = samples.filter(s => typeof s.value === 'number' && isFinite(s.value));
+  if (rows.length === 0) return;
+  out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  for (const { labels, value } of rows) {
+    const pairs = Object.entries(labels || {}).map(([k, v]) => `${k}="${promEscape(v)}"`);
+    out.push(`${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`);
+  }
+}
 
-    res.json(result);
+function renderPrometheus(m, costs) {
+  const out = [];
+  const sys = m.system || {};
+  const one = (value) => [{ value }];
+
+  promFamily(out, 'pulse_cpu_usage_percent', 'gauge', 'CPU usage in percent.', one(sys.cpu?.usage));
+  promFamily(out, 'pulse_cpu_core_usage_percent', 'gauge', 'Per-core CPU usage in percent.',
+    (sys.cpu?.cores || []).map((value, core) => ({ labels: { core: String(core) }, value })));
+  promFamily(out, 'pulse_cpu_mode_percent', 'gauge', 'Share of CPU time by mode in percent.',
+    ['user', 'system', 'iowait', 'steal'].map(mode => ({ labels: { mode }, value: sys.cpu?.[mode] })));
+  promFamily(out, 'pulse_load_average', 'gauge', 'System load average by window.',
+    ['1m', '5m', '15m'].map((window, i) => ({ labels: { window }, value: sys.cpu?.load?.[i] })));
+  promFamily(out, 'pulse_cpu_temperature_celsius', 'gauge', 'CPU temperature in degrees Celsius.', one(sys.cpu?.temp));
+  const sensorSamples = kind => (sys.sensors || []).filter(s => s.kind === kind).map(s => ({ labels: { chip: s.chip, sensor: s.label }, value: s.value }));
+  promFamily(out, 'pulse_sensor_temperature_celsius', 'gauge', 'Hardware temperature sensor reading.', sensorSamples('temp'));
+  promFamily(out, 'pulse_sensor_fan_rpm', 'gauge', 'Fan speed.', sensorSamples('fan'));
+  promFamily(out, 'pulse_sensor_voltage_volts', 'gauge', 'Voltage sensor reading.', sensorSamples('voltage'));
+  promFamily(out, 'pulse_memory_used_bytes', 'gauge', 'Memory in use (total minus available).', one(sys.ram?.usedBytes));
+  promFamily(out, 'pulse_memory_total_bytes', 'gauge', 'Total memory.', one(sys.ram?.totalBytes));
+  promFamily(out, 'pulse_memory_usage_percent', 'gauge', 'Memory usage in percent.', one(sys.ram?.percent));
+  promFamily(out, 'pulse_swap_used_bytes', 'gauge', 'Swap in use.', one(sys.ram?.swap?.usedBytes));
+  promFamily(out, 'pulse_swap_total_bytes', 'gauge', 'Total swap.', one(sys.ram?.swap?.totalBytes));
+  const disks = (sys.disks || []).filter(d => !d.error);
+  const perMount = (value) => disks.map(d => ({ labels: { mount: d.mount }, value: value(d) }));
+  promFamily(out, 'pulse_disk_used_bytes', 'gauge', 'Used bytes per watched filesystem.', perMount(d => d.usedBytes));
+  promFamily(out, 'pulse_disk_total_bytes', 'gauge', 'Size of each watched filesystem.', perMount(d => d.totalBytes));
+  promFamily(out, 'pulse_disk_free_bytes', 'gauge', 'Free bytes per watched filesystem.', perMount(d => d.freeBytes));
+  promFamily(out, 'pulse_disk_usage_percent', 'gauge', 'Filesystem usage in percent.', perMount(d => d.percent));
+  promFamily(out, 'pulse_disk_inodes_used', 'gauge', 'Inodes in use per watched filesystem.', perMount(d => d.inodes?.used));
+  promFamily(out, 'pulse_disk_inodes_total', 'gauge', 'Inodes per watched filesystem.', perMount(d => d.inodes?.total));
+  promFamily(out, 'pulse_disk_read_bytes_per_second', 'gauge', 'Read throughput of the device behind each filesystem.', perMount(d => d.io?.read));
+  promFamily(out, 'pulse_disk_write_bytes_per_second', 'gauge', 'Write throughput of the device behind each filesystem.', perMount(d => d.io?.write));
+  promFamily(out, 'pulse_disk_iops', 'gauge', 'Completed I/O operations per second, by direction.',
+    disks.flatMap(d => [
+      { labels: { mount: d.mount, op: 'read' }, value: d.io?.readOps },
+      { labels: { mount: d.mount, op: 'write' }, value: d.io?.writeOps }
+    ]));
+  const ifaces = (sys.network?.ifaces || []).filter(i => !i.missing);
+  const perIface = (value) => ifaces.map(i => ({ labels: { iface: i.name }, value: value(i) }));
+  const perDirection = (rx, tx) => ifaces.flatMap(i => [
+    { labels: { iface: i.name, direction: 'rx' }, value: rx(i) },
+    { labels: { iface: i.name, direction: 'tx' }, value: tx(i) }
+  ]);
+  promFamily(out, 'pulse_network_receive_bytes_per_second', 'gauge', 'Network receive rate.', perIface(i => i.down));
+  promFamily(out, 'pulse_network_transmit_bytes_per_second', 'gauge', 'Network transmit rate.', perIface(i => i.up));
+  promFamily(out, 'pulse_network_packets_per_second', 'gauge', 'Packet rate by direction.', perDirection(i => i.rxPackets, i => i.txPackets));
+  promFamily(out, 'pulse_network_errors_total', 'counter', 'Interface errors since boot by direction.', perDirection(i => i.rxErrors, i => i.txErrors));
+  promFamily(out, 'pulse_network_drops_total', 'counter', 'Dropped packets since boot by direction.', perDirection(i => i.rxDrops, i => i.txDrops));
+  promFamily(out, 'pulse_network_transfer_bytes', 'gauge', 'Bytes moved this day / billing month by direction.',
+    ifaces.flatMap(i => ['today', 'month'].flatMap(period => [
+      { labels: { iface: i.name, period, direction: 'rx' }, value: i[period].rx },
+      { labels: { iface: i.name, period, direction: 'tx' }, value: i[period].tx }
+    ])));
+
+  promFamily(out, 'pulse_container_up', 'gauge', 'Whether the Docker container is running (1) or not (0).',
+    (m.services?.docker || []).map(c => ({ labels: { container: c.name }, value: c.running ? 1 : 0 })));
+  const docker = m.services?.docker || [];
+  const withStats = docker.filter(c => c.stats);
+  promFamily(out, 'pulse_container_cpu_percent', 'gauge', 'Container CPU usage (100 = one core).',
+    withStats.map(c => ({ labels: { container: c.name }, value: c.stats.cpu })));
+  promFamily(out, 'pulse_container_memory_bytes', 'gauge', 'Container memory in use.',
+    withStats.map(c => ({ labels: { container: c.name }, value: c.stats.memUsed })));
+  promFamily(out, 'pulse_container_memory_limit_bytes', 'gauge', 'Container memory limit.',
+    withStats.map(c => ({ labels: { container: c.name }, value: c.stats.memLimit })));
+  promFamily(out, 'pulse_container_network_bytes_total', 'counter', 'Container network traffic since start.',
+    withStats.flatMap(c => [{ labels: { container: c.name, direction: 'rx' }, value: c.stats.netRx }, { labels: { container: c.name, direction: 'tx' }, value: c.stats.netTx }]));
+  promFamily(out, 'pulse_container_block_io_bytes_total', 'counter', 'Container block I/O since start.',
+    withStats.flatMap(c => [{ labels: { container: c.name, op: 'read' }, value: c.stats.blockRead }, { labels: { container: c.name, op: 'write' }, value: c.stats.blockWrite }]));
+  promFamily(out, 'pulse_container_restarts_total', 'counter', 'Restarts by the container restart policy.',
+    docker.map(c => ({ labels: { container: c.name }, value: c.restarts })));
+  promFamily(out, 'pulse_container_healthy', 'gauge', 'HEALTHCHECK state: 1 healthy, 0 unhealthy or starting (containers with a healthcheck).',
+    docker.filter(c => c.health).map(c => ({ labels: { container: c.name }, value: c.health === 'healthy' ? 1 : 0 })));
+  promFamily(out, 'pulse_service_up', 'gauge', 'Whether the systemd service is active (1) or not (0).',
+    (m.services?.systemd || []).map(s => ({ labels: { service: s.name }, value: s.active ? 1 : 0 })));
+  const units = (m.services?.systemd || []).filter(s => s.scope);
+  promFamily(out, 'pulse_service_restarts_total', 'counter', 'Automatic restarts of the systemd service (NRestarts).',
+    units.filter(s => s.restarts != null).map(s => ({ labels: { service: s.name, scope: s.scope }, value: s.restarts })));
+  promFamily(out, 'pulse_service_memory_bytes', 'gauge', 'Memory used by the systemd service (cgroup).',
+    units.filter(s => s.memory != null).map(s => ({ labels: { service: s.name, scope: s.scope }, value: s.memory })));
+  promFamily(out, 'pulse_systemd_failed_units', 'gauge', 'Units in the failed state on the host by scope.',
+    SYSTEMD_SCOPES.map(scope => ({ labels: { scope }, value: (m.services?.failedUnits || []).filter(u => u.scope === scope).length })));
+
+  const probes = (m.probes || []).filter(p => p.up != null);
+  promFamily(out, 'pulse_probe_up', 'gauge', 'Whether the last check of the probe succeeded (1) or not (0).',
+    probes.map(p => ({ labels: { probe: p.name, type: p.type }, value: p.up ? 1 : 0 })));
+  promFamily(out, 'pulse_probe_duration_seconds', 'gauge', 'Response time of the last probe check.',
+    probes.map(p => ({ labels: { probe: p.name, type: p.type }, value: p.ms / 1000 })));
+  promFamily(out, 'pulse_certificate_expiry_timestamp_seconds', 'gauge', 'Expiry (notAfter) of the certificate as a Unix timestamp.',
+    (m.certificates || []).filter(c => !c.error).map(c => ({ labels: { certificate: c.name, source: c.source, subject: c.subject }, value: Date.parse(c.validTo) / 1000 })));
+
+  const bots = (m.bots || []).filter(Boolean);
+  const botLabels = (b) => ({ bot: b.name, profile: b.profile || 'main' });
+  promFamily(out, 'pulse_bot_online', 'gauge', 'Whether the OpenClaw bot is online (1) or not (0).',
+    bots.map(b => ({ labels: botLabels(b), value: b.online ? 1 : 0 })));
+  promFamily(out, 'pulse_bot_context_percent', 'gauge', 'Context window usage of the main session in percent.',
+    bots.map(b => ({ labels: botLabels(b), value: b.contextPercent })));
+  promFamily(out, 'pulse_bot_sessions', 'gauge', 'Number of sessions reported by the bot.',
+    bots.map(b => ({ labels: botLabels(b), value: b.sessions })));
+  promFamily(out, 'pulse_bot_tokens', 'gauge', 'Token counters across recent sessions, by token type.',
+    bots.flatMap(b => ['inputTokens', 'outputTokens', 'cacheRead', 'cacheWrite']
+      .map(type => ({ labels: { ...botLabels(b), type }, value: b[type] }))));
+
+  promFamily(out, 'pulse_cost_usd', 'gauge', 'Estimated token cost in USD by model and period.',
+    costs.flatMap(c => [
+      { labels: { model: c.model, period: 'today' }, value: c.today },
+      { labels: { model: c.model, period: 'month' }, value: c.month }
+    ]));
+  promFamily(out, 'pulse_alerts_active', 'gauge', 'Number of alerts currently firing.', one(alertHistory.filter(e => e.active).length));
+
+  return out.join('\n') + '\n';
+}
+
+// Per-model cost for today and this month, from cost-history.jsonl
+async function getCostByModel() {
+  const entries = await readCostHistory();
+  const todayStr = new Date().toISOString().slice(0, 10);
+  const monthStr = todayStr.slice(0, 7);
+  const byModel = {};
+  for (const entry of entries) {
+    if (!entry.model || !entry.date || !entry.date.startsWith(monthStr)) continue;
+    if (!byModel[entry.model]) byModel[entry.model] = { model: entry.model, today: 0, month: 0 };
+    byModel[entry.model].month += entry.costUsd || 0;
+    if (entry.date === todayStr) byModel[entry.model].today += entry.costUsd || 0;
+  }
+  return Object.values(byModel);
+}
+
+app.get('/metrics', async (req, res) => {
+  const prom = CONFIG.prometheus || {};
+  if (!prom.enabled) return res.status(404).send('Prometheus exporter is disabled');
+  if (prom.token) {
+    const header = req.headers.authorization || '';
+    const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+    const expected = Buffer.from(String(prom.token));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      res.set('WWW-Authenticate', 'Bearer realm="Pulse metrics"');
+      return res.status(401).send('Unauthorized');
+    }
+  }
+  try {
+    const [metrics, costs] = await Promise.all([getLatestMetrics(), getCostByModel()]);
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderPrometheus(metrics, costs));
   } catch (err) {
-    console.error('API /metrics error:', err.message);
-    res.status(500).json({ error: err.message });
+    console.error('GET /metrics error:', err.message);
+    res.status(500).send(err.message);
   }
 });
 
@@ -1073,16 +4498,21 @@ app.get('/api/bots/stats', (req, res) => {
   res.json(stats);
 });
 
+// Parsed entries of cost-history.jsonl (empty when the collector hasn't run yet)
+async function readCostHistory() {
+  try {
+    const raw = await fs.promises.readFile(COST_HISTORY_FILE, 'utf8');
+    return raw.split('\n').filter(Boolean).map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return [];
+  }
+}
+
 // --- T88: GET /api/costs ---
 app.get('/api/costs', async (req, res) => {
   try {
-    let lines = [];
-    try {
-      const raw = await fs.promises.readFile(COST_HISTORY_FILE, 'utf8');
-      lines = raw.split('\n').filter(Boolean).map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
-    } catch (err) {
-      if (err.code !== 'ENOENT') throw err;
-    }
+    const lines = await readCostHistory();
 
     const now = Date.now();
     const todayStr = new Date().toISOString().slice(0, 10);
@@ -1174,60 +4604,222 @@ app.get('/api/alerts/status', async (req, res) => {
     telegram: {
       configured: !!creds,
       source: creds?.source || 'none'
-    }
+    },
+    channels: getAlertChannels().map(c => ({ id: c.id, type: c.type }))
   });
 });
 
 // --- T09: Test alert ---
-app.post('/api/alerts/test', async (req, res) => {
-  const creds = await getTelegramCredentials();
-  if (!creds) return res.json({ ok: false, error: 'No Telegram credentials found. Configure in settings or set up OpenClaw Telegram.' });
-  const ok = await sendTelegramMessage(`🔔 <b>Pulse Test Alert</b>\nAlerts are working! Your dashboard is configured correctly.\n${new Date().toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}`);
-  res.json({ ok, source: creds.source });
+// Body: { channel } — a configured channel id/index, an unsaved channel definition (savedIndex pairs an edited
+// row with its saved secrets), or omitted for all
+app.post('/api/alerts/test', requireRole('admin'), async (req, res) => {
+  const selector = req.body?.channel;
+  let channels;
+  if (selector && typeof selector === 'object') {
+    if (!CHANNEL_TYPES.includes(selector.type)) {
+      return res.status(400).json({ ok: false, error: 'Unknown channel type' });
+    }
+    // Unsaved edits of a configured channel may still carry SECRET_UNCHANGED placeholders
+    let channel;
+    try {
+      [channel] = restoreSecrets([{ ...selector }], CONFIG.alerts?.channels, 'channel');
+    } catch (err) {
+      return res.status(err.status || 500).json({ ok: false, error: err.message });
+    }
+    channels = [{ ...channel, id: selector.id || selector.type }];
+  } else if (selector !== undefined && selector !== null && selector !== '') {
+    channels = getAlertChannels().filter((c, i) => c.id === selector || i === selector);
+    if (channels.length === 0) return res.status(404).json({ ok: false, error: 'Unknown channel' });
+  } else {
+    channels = getAlertChannels();
+  }
+  const timeStr = new Date().toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+  const results = await sendToChannels(channels, `🔔 <b>Pulse Test Alert</b>\nAlerts are working! Your dashboard is configured correctly.\n${timeStr}`, { event: 'test' });
+  const failed = results.find(r => !r.ok);
+  res.json({
+    ok: !failed,
+    source: results.map(r => r.source).filter(Boolean).join(', ') || undefined,
+    error: failed ? (results.length > 1 ? `${failed.id}: ${failed.error}` : failed.error) : undefined,
+    results
+  });
 });
 
-// T21 — POST /api/action/restart-service
-app.post('/api/action/restart-service', async (req, res) => {
-  try {
-    const { name } = req.body;
-    if (!name || typeof name !== 'string' || !/^[a-zA-Z0-9._@:-]+$/.test(name)) {
-      return res.status(400).json({ ok: false, error: 'Invalid service name' });
+// T21 — POST /api/action/restart-service, and start/stop/enable/disable-service alongside it
+for (const action of SERVICE_ACTIONS) {
+  app.post(`/api/action/${action}-service`, audited(`service.${action}`, req => ({ target: req.body?.name })), requireRole('operator', 'restart'), async (req, res) => {
+    try {
+      const { name } = req.body;
+      if (!name || typeof name !== 'string' || !/^[a-zA-Z0-9._@:-]+$/.test(name)) {
+        return res.status(400).json({ ok: false, error: 'Invalid service name' });
+      }
+      if (!CONFIG.systemdServices.includes(name)) {
+        return res.status(400).json({ ok: false, error: 'Unknown service' });
+      }
+      const unit = await serviceAction(name, action);
+      res.json({ ok: true, name, scope: unit.scope, status: unit.state, enabled: unit.enabled });
+    } catch (err) {
+      res.status(err.status || 500).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+// Container named in the body, if it's one Pulse watches (every container on the host with "auto")
+async function containerTarget(req, res) {
+  const name = req.body?.name;
+  if (!name || typeof name !== 'string' || !/^[a-zA-Z0-9._-]+$/.test(name)) {
+    res.status(400).json({ ok: false, error: 'Invalid container name' });
+    return null;
+  }
+  if (!(await watchedContainerNames()).includes(name)) {
+    res.status(400).json({ ok: false, error: 'Unknown container' });
+    return null;
+  }
+  return name;
+}
+
+// T22 — POST /api/action/restart-docker, and start/stop/pause/unpause-docker alongside it
+for (const action of CONTAINER_ACTIONS) {
+  app.post(`/api/action/${action}-docker`, audited(`container.${action}`, req => ({ target: req.body?.name })), requireRole('operator', 'restart'), async (req, res) => {
+    try {
+      const name = await containerTarget(req, res);
+      if (!name) return;
+      const status = await containerAction(name, action);
+      res.json({ ok: true, name, status });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+// Long-running actions reply with JSON once done, or — with Accept: text/event-stream — stream `progress`
+// events ({ message, percent? }) and end with `done` (or `error`). The work carries on if the client goes
+// away; the audit entry records how it ended.
+async function replyWithProgress(req, res, work) {
+  if (!(req.headers.accept || '').includes('text/event-stream')) {
+    try {
+      return res.json({ ok: true, ...(await work(() => {})) });
+    } catch (err) {
+      return res.status(err.status || 500).json({ ok: false, error: err.message });
     }
-    if (!CONFIG.systemdServices.includes(name)) {
-      return res.status(400).json({ ok: false, error: 'Unknown service' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => {
+    if (!res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  res.locals.auditSettled = (async () => {
+    try {
+      const result = res.locals.auditBody = { ok: true, ...(await work(p => send('progress', p))) };
+      send('done', result);
+    } catch (err) {
+      res.locals.auditBody = { ok: false, error: err.message };
+      send('error', res.locals.auditBody);
     }
-    await run(`systemctl --user restart ${name}`, 10000);
-    await sleep(1500);
-    const status = await run(`systemctl --user is-active ${name}`);
-    res.json({ ok: true, name, status: status || 'unknown' });
+  })();
+  await res.locals.auditSettled;
+  res.end();
+}
+
+// POST /api/action/recreate-docker — pull the image and recreate the container if it changed
+app.post('/api/action/recreate-docker', audited('container.recreate', req => ({ target: req.body?.name })), requireRole('operator', 'restart'), async (req, res) => {
+  let name;
+  try {
+    name = await containerTarget(req, res);
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    return res.status(500).json({ ok: false, error: err.message });
   }
+  if (!name) return;
+  await replyWithProgress(req, res, async onProgress => ({ name, ...(await recreateContainer(name, onProgress)) }));
 });
 
-// T22 — POST /api/action/restart-docker
-app.post('/api/action/restart-docker', async (req, res) => {
+// POST /api/action/docker-stack — { project, action: restart | up | pull } for a compose project
+app.post('/api/action/docker-stack', audited('stack', req => ({ target: req.body?.project, params: { action: req.body?.action } })), requireRole('operator', 'restart'), async (req, res) => {
+  const { project, action } = req.body || {};
+  if (!STACK_ACTIONS.includes(action)) {
+    return res.status(400).json({ ok: false, error: 'Invalid action. Must be restart, up, or pull.' });
+  }
+  if (!project || typeof project !== 'string' || !DOCKER_NAME.test(project)) {
+    return res.status(400).json({ ok: false, error: 'Invalid project name' });
+  }
   try {
-    const { name } = req.body;
-    if (!name || typeof name !== 'string' || !/^[a-zA-Z0-9._-]+$/.test(name)) {
-      return res.status(400).json({ ok: false, error: 'Invalid container name' });
-    }
-    let knownContainers;
-    if (CONFIG.dockerContainers === 'auto') {
-      const out = await run('docker ps -a --format "{{.Names}}"');
-      knownContainers = out.split('\n').filter(Boolean);
-    } else {
-      knownContainers = CONFIG.dockerContainers;
-    }
-    if (!knownContainers.includes(name)) {
-      return res.status(400).json({ ok: false, error: 'Unknown container' });
-    }
-    await run(`docker restart ${name}`, 15000);
-    await sleep(1500);
-    const status = await run(`docker inspect --format '{{.State.Status}}' ${name}`);
-    res.json({ ok: true, name, status: status || 'unknown' });
+    const known = stackSelected(project) && (await listContainers()).some(c => c.project === project);
+    if (!known) return res.status(400).json({ ok: false, error: 'Unknown stack' });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+  await replyWithProgress(req, res, async onProgress => ({ project, action, ...(await stackAction(project, action, onProgress)) }));
+});
+
+// Process actions: off unless processActions is set, operators only, never for API tokens
+const PROCESS_SIGNALS = ['TERM', 'KILL'];
+
+function processTarget(req, res) {
+  if (!CONFIG.processActions) {
+    res.status(403).json({ ok: false, error: 'Process actions are disabled (set processActions in config)' });
+    return null;
+  }
+  const pid = req.body?.pid;
+  if (!Number.isInteger(pid) || pid <= 1) {
+    res.status(400).json({ ok: false, error: 'Invalid pid' });
+    return null;
+  }
+  if (pid === process.pid) {
+    res.status(400).json({ ok: false, error: 'Refusing to signal Pulse itself' });
+    return null;
+  }
+  return pid;
+}
+
+// os.setPriority reports ERR_SYSTEM_ERROR with the errno name in err.info
+function processError(res, err) {
+  const code = err.info?.code || err.code;
+  if (code === 'ESRCH') return res.status(404).json({ ok: false, error: 'No such process' });
+  if (code === 'EPERM' || code === 'EACCES') return res.status(403).json({ ok: false, error: 'Not permitted — the process belongs to another user' });
+  res.status(500).json({ ok: false, error: err.message });
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// POST /api/action/kill-process — { pid, signal: 'TERM' | 'KILL' }
+app.post('/api/action/kill-process', audited('process.signal', req => ({ target: req.body?.pid != null ? String(req.body.pid) : null, params: { signal: req.body?.signal } })), requireRole('operator'), async (req, res) => {
+  const pid = processTarget(req, res);
+  if (pid == null) return;
+  const signal = req.body.signal || 'TERM';
+  if (!PROCESS_SIGNALS.includes(signal)) return res.status(400).json({ ok: false, error: `Signal must be one of: ${PROCESS_SIGNALS.join(', ')}` });
+  try {
+    process.kill(pid, `SIG${signal}`);
+  } catch (err) {
+    return processError(res, err);
+  }
+  await sleep(500);
+  res.json({ ok: true, pid, signal, status: processAlive(pid) ? 'running' : 'exited' });
+});
+
+// POST /api/action/renice-process — { pid, nice: -20..19 } (lowering nice below the current value needs root)
+app.post('/api/action/renice-process', audited('process.renice', req => ({ target: req.body?.pid != null ? String(req.body.pid) : null, params: { nice: req.body?.nice } })), requireRole('operator'), (req, res) => {
+  const pid = processTarget(req, res);
+  if (pid == null) return;
+  const nice = req.body.nice;
+  if (!Number.isInteger(nice) || nice < -20 || nice > 19) return res.status(400).json({ ok: false, error: 'nice must be an integer from -20 to 19' });
+  try {
+    os.setPriority(pid, nice);
+    const now = os.getPriority(pid);
+    res.json({ ok: true, pid, nice: now, status: `nice ${now}` });
+  } catch (err) {
+    processError(res, err);
   }
 });
 
@@ -1264,7 +4856,7 @@ app.get('/api/openclaw/models', async (req, res) => {
 });
 
 // T30 — POST /api/openclaw/gateway
-app.post('/api/openclaw/gateway', async (req, res) => {
+app.post('/api/openclaw/gateway', audited('gateway', req => ({ target: req.body?.action })), requireRole('admin'), async (req, res) => {
   try {
     const { action } = req.body;
     if (!['restart', 'stop', 'start'].includes(action)) {
@@ -1278,7 +4870,7 @@ app.post('/api/openclaw/gateway', async (req, res) => {
 });
 
 // T31 — POST /api/openclaw/model
-app.post('/api/openclaw/model', async (req, res) => {
+app.post('/api/openclaw/model', audited('model.switch', req => ({ target: req.body?.profile || 'main', params: { model: req.body?.model } })), requireRole('admin'), async (req, res) => {
   try {
     const { model, profile } = req.body;
     if (!model || typeof model !== 'string') {
@@ -1312,7 +4904,7 @@ app.post('/api/openclaw/model', async (req, res) => {
 });
 
 // T32 — POST /api/openclaw/clear-sessions
-app.post('/api/openclaw/clear-sessions', async (req, res) => {
+app.post('/api/openclaw/clear-sessions', audited('sessions.clear', req => ({ target: req.body?.profile || 'main' })), requireRole('operator'), async (req, res) => {
   try {
     const { profile } = req.body;
     const cmd = openclawCmd(profile, 'sessions clear');
@@ -1328,14 +4920,37 @@ app.get('/api/history', async (req, res) => {
   try {
     const metric = req.query.metric;
     const hours = parseInt(req.query.hours) || 168; // default 7 days
-    const validMetrics = ['cpu', 'ram', 'disk', 'netUp', 'netDown'];
-    if (!metric || !validMetrics.includes(metric)) {
-      return res.status(400).json({ error: 'Invalid metric. Use: ' + validMetrics.join(', ') });
+    const coreMatch = /^core(\d+)$/.exec(metric || '');
+    if (!metric || !(HISTORY_METRICS.includes(metric) || coreMatch)) {
+      return res.status(400).json({ error: 'Invalid metric. Use: ' + HISTORY_METRICS.join(', ') + ', core0, core1, ...' });
+    }
+    const mount = typeof req.query.mount === 'string' ? req.query.mount : null;
+    const diskField = DISK_HISTORY_FIELDS[metric];
+    let valueOf = entry => entry[metric];
+    const iface = typeof req.query.iface === 'string' ? req.query.iface : null;
+    const sensor = typeof req.query.sensor === 'string' ? req.query.sensor : null;
+    if (metric === 'sensor' && !sensor) return res.status(400).json({ error: 'metric=sensor needs &sensor=<id>' });
+    const container = typeof req.query.container === 'string' ? req.query.container : null;
+    const containerField = CONTAINER_HISTORY_FIELDS[metric];
+    if (containerField && !container) return res.status(400).json({ error: `metric=${metric} needs &container=<name>` });
+    const probe = typeof req.query.probe === 'string' ? req.query.probe : null;
+    const probeMetric = PROBE_HISTORY_METRICS.includes(metric);
+    if (probeMetric && !probe) return res.status(400).json({ error: `metric=${metric} needs &probe=<name>` });
+    if (coreMatch) valueOf = entry => entry.cores?.[parseInt(coreMatch[1])];
+    else if (metric === 'netUp' || metric === 'netDown') {
+      const dir = metric === 'netUp' ? 'up' : 'down';
+      valueOf = entry => (entry.nets ? (iface ? entry.nets[iface]?.[dir] : entry[metric]) : undefined);
     }
+    else if (diskField && (mount || metric !== 'disk')) valueOf = entry => entry.disks?.[mount || '/']?.[diskField];
+    else if (metric === 'sensor') valueOf = entry => entry.sensors?.[sensor];
+    else if (containerField) valueOf = entry => entry.containers?.[container]?.[containerField];
+    else if (metric === 'probeLatency') valueOf = entry => (entry.probe === probe && entry.up ? entry.ms : undefined);
+    else if (metric === 'probeUptime') valueOf = entry => (entry.probe === probe ? (entry.up ? 100 : 0) : undefined);
+    const precision = metric === 'sensor' ? 1000 : 10;
     const cutoff = Date.now() - hours * 60 * 60 * 1000;
     let raw;
     try {
-      raw = await fs.promises.readFile(HISTORY_FILE, 'utf8');
+      raw = await fs.promises.readFile(probeMetric ? PROBE_HISTORY_FILE : HISTORY_FILE, 'utf8');
     } catch (err) {
       if (err.code === 'ENOENT') return res.json([]);
       throw err;
@@ -1351,10 +4966,13 @@ app.get('/api/history', async (req, res) => {
       try {
         const entry = JSON.parse(line);
         if (entry.ts >= cutoff) {
+          // Samples from before a metric was recorded don't count as zero
+          const value = valueOf(entry);
+          if (value == null) continue;
           const bucket = Math.floor(entry.ts / bucketMs) * bucketMs;
           if (!buckets.has(bucket)) buckets.set(bucket, { sum: 0, count: 0 });
           const b = buckets.get(bucket);
-          b.sum += entry[metric] ?? 0;
+          b.sum += value;
           b.count++;
         }
       } catch {}
@@ -1362,7 +4980,8 @@ app.get('/api/history', async (req, res) => {
 
     const result = Array.from(buckets.entries())
       .sort((a, b) => a[0] - b[0])
-      .map(([ts, b]) => ({ ts: ts + bucketMs / 2, value: Math.round(b.sum / b.count * 10) / 10 }));
+      // Sensor voltages need more than one decimal
+      .map(([ts, b]) => ({ ts: ts + bucketMs / 2, value: Math.round(b.sum / b.count * precision) / precision }));
 
     res.json(result);
   } catch (err) {
@@ -1371,13 +4990,32 @@ app.get('/api/history', async (req, res) => {
   }
 });
 
+// Daily and billing-month transfer per tracked interface, newest first
+// { monthStart, ifaces: { name: { days: [{ date, rx, tx }], months: [{ month, rx, tx }] } } }
+app.get('/api/network/totals', async (req, res) => {
+  try {
+    if (!netTotals) await loadNetTotals();
+    const series = (buckets, key, name) => Object.entries(buckets)
+      .filter(([, b]) => b[name])
+      .sort(([a], [b]) => (a < b ? 1 : -1))
+      .map(([k, b]) => ({ [key]: k, ...b[name] }));
+    const ifaces = {};
+    for (const name of trackedIfaces()) {
+      ifaces[name] = { days: series(netTotals.days, 'date', name), months: series(netTotals.months, 'month', name) };
+    }
+    res.json({ monthStart: CONFIG.networkMonthStart || 1, ifaces });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // T48 — Strip ANSI escape codes from log lines
 function stripAnsi(str) {
   return str.replace(/\x1b\[[0-9;]*m/g, '');
 }
 
 // T38 — GET /api/logs/service/:name — SSE endpoint for systemd service logs
-app.get('/api/logs/service/:name', (req, res) => {
+app.get('/api/logs/service/:name', requireRole('operator', 'logs:read'), async (req, res) => {
   const { name } = req.params;
   // Validate name against CONFIG (security)
   if (!name || typeof name !== 'string' || !/^[a-zA-Z0-9._@:-]+$/.test(name)) {
@@ -1396,65 +5034,32 @@ app.get('/api/logs/service/:name', (req, res) => {
   });
   res.flushHeaders();
 
-  // Try system-level first, fall back to user-level
-  const { execSync } = require('child_process');
-  let useUser = true;
-  try {
-    const test = execSync(`journalctl -u ${name} -n 1 --no-pager 2>&1`, { timeout: 3000 }).toString();
-    if (test && !test.includes('No entries')) useUser = false;
-  } catch {}
-
-  const args = useUser
-    ? ['--user', '-u', name, '-f', '--no-pager', '-n', '50']
-    : ['-u', name, '-f', '--no-pager', '-n', '50'];
-  const child = spawn('journalctl', args, {
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
-
-  let buf = '';
-  function onData(chunk) {
-    buf += chunk.toString();
-    let idx;
-    while ((idx = buf.indexOf('\n')) !== -1) {
-      const line = stripAnsi(buf.slice(0, idx));
-      buf = buf.slice(idx + 1);
-      res.write('event: log\ndata: ' + line + '\n\n');
-    }
-  }
-
-  child.stdout.on('data', onData);
-  child.stderr.on('data', onData);
-
+  let stop = null;
+  let closed = false;
   // T40 — Cleanup on client disconnect
   res.on('close', () => {
-    child.kill('SIGTERM');
+    closed = true;
+    if (stop) stop();
   });
 
-  child.on('error', () => {
-    res.write('event: error\ndata: Failed to spawn journalctl\n\n');
-    res.end();
-  });
-
-  child.on('exit', () => {
+  // The unit's own journal: system units log to the system journal, user units to the user's
+  stop = await followServiceLogs(name, line => {
+    res.write('event: log\ndata: ' + stripAnsi(line) + '\n\n');
+  }, err => {
+    if (err) res.write(`event: error\ndata: ${err.message}\n\n`);
     res.end();
   });
+  if (closed) stop();
 });
 
 // T39 — GET /api/logs/docker/:name — SSE endpoint for Docker container logs
-app.get('/api/logs/docker/:name', async (req, res) => {
+app.get('/api/logs/docker/:name', requireRole('operator', 'logs:read'), async (req, res) => {
   const { name } = req.params;
   // Validate name (security)
   if (!name || typeof name !== 'string' || !/^[a-zA-Z0-9._-]+$/.test(name)) {
     return res.status(400).json({ error: 'Invalid container name' });
   }
-  let knownContainers;
-  if (CONFIG.dockerContainers === 'auto') {
-    const out = await run('docker ps -a --format "{{.Names}}"');
-    knownContainers = out.split('\n').filter(Boolean);
-  } else {
-    knownContainers = CONFIG.dockerContainers;
-  }
-  if (!knownContainers.includes(name)) {
+  if (!(await watchedContainerNames()).includes(name)) {
     return res.status(400).json({ error: 'Unknown container' });
   }
 
@@ -1467,37 +5072,26 @@ app.get('/api/logs/docker/:name', async (req, res) => {
   });
   res.flushHeaders();
 
-  const child = spawn('docker', ['logs', '-f', '--tail', '50', name], {
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
-
-  let buf = '';
-  function onData(chunk) {
-    buf += chunk.toString();
-    let idx;
-    while ((idx = buf.indexOf('\n')) !== -1) {
-      const line = stripAnsi(buf.slice(0, idx));
-      buf = buf.slice(idx + 1);
-      res.write('event: log\ndata: ' + line + '\n\n');
-    }
-  }
-
-  child.stdout.on('data', onData);
-  child.stderr.on('data', onData);
-
+  let stop = null;
+  let closed = false;
   // T40 — Cleanup on client disconnect
   res.on('close', () => {
-    child.kill('SIGTERM');
-  });
-
-  child.on('error', () => {
-    res.write('event: error\ndata: Failed to spawn docker logs\n\n');
-    res.end();
+    closed = true;
+    if (stop) stop();
   });
 
-  child.on('exit', () => {
+  try {
+    stop = await followContainerLogs(name, line => {
+      res.write('event: log\ndata: ' + stripAnsi(line) + '\n\n');
+    }, err => {
+      if (err) res.write(`event: error\ndata: ${err.message}\n\n`);
+      res.end();
+    });
+    if (closed) stop();
+  } catch (err) {
+    res.write(`event: error\ndata: ${err.message}\n\n`);
     res.end();
-  });
+  }
 });
 
 // --- Update ---
@@ -1515,7 +5109,7 @@ app.get('/api/update/check', async (req, res) => {
   }
 });
 
-app.post('/api/update/apply', async (req, res) => {
+app.post('/api/update/apply', audited('update.apply'), requireRole('admin'), async (req, res) => {
   try {
     // Stash any local changes
     await run('git -C ' + __dirname + ' stash --quiet', 5000).catch(() => {});
@@ -1551,7 +5145,7 @@ function openclawCmd(profile, cmd) {
 }
 
 // T101 — GET /api/cron/profiles
-app.get('/api/cron/profiles', (req, res) => {
+app.get('/api/cron/profiles', requireRole('viewer', ['metrics:read', 'cron:manage']), (req, res) => {
   const bots = CONFIG.bots || [];
   if (bots.length <= 1) return res.json([]);
   res.json(bots.map(b => ({ name: b.name, profile: b.profile || 'main' })));
@@ -1573,7 +5167,7 @@ async function getCronJobs(profile) {
 }
 
 // T93 — GET /api/cron
-app.get('/api/cron', async (req, res) => {
+app.get('/api/cron', requireRole('viewer', ['metrics:read', 'cron:manage']), async (req, res) => {
   try {
     const profile = req.query.profile || 'main';
     if (!/^[a-zA-Z0-9_-]+$/.test(profile)) {
@@ -1596,7 +5190,7 @@ app.get('/api/cron', async (req, res) => {
 });
 
 // T94 — POST /api/cron/:id/toggle
-app.post('/api/cron/:id/toggle', async (req, res) => {
+app.post('/api/cron/:id/toggle', audited('cron.toggle', req => ({ target: req.params.id, params: { enabled: req.body?.enabled, profile: req.body?.profile } })), requireRole('operator', 'cron:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!id || !/^[a-zA-Z0-9._:-]+$/.test(id)) {
@@ -1620,7 +5214,7 @@ app.post('/api/cron/:id/toggle', async (req, res) => {
 });
 
 // T95 — POST /api/cron/:id/run
-app.post('/api/cron/:id/run', async (req, res) => {
+app.post('/api/cron/:id/run', audited('cron.run', req => ({ target: req.params.id, params: { profile: req.body?.profile } })), requireRole('operator', 'cron:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!id || !/^[a-zA-Z0-9._:-]+$/.test(id)) {
@@ -1642,7 +5236,7 @@ app.post('/api/cron/:id/run', async (req, res) => {
 });
 
 // T96 — POST /api/cron/create
-app.post('/api/cron/create', async (req, res) => {
+app.post('/api/cron/create', audited('cron.create', req => ({ target: req.body?.name, params: req.body })), requireRole('admin', 'cron:manage'), async (req, res) => {
   try {
     const { name, schedule, payload } = req.body;
     const profile = req.body.profile || 'main';
@@ -1682,7 +5276,7 @@ app.post('/api/cron/create', async (req, res) => {
 });
 
 // T97 — DELETE /api/cron/:id
-app.delete('/api/cron/:id', async (req, res) => {
+app.delete('/api/cron/:id', audited('cron.delete', req => ({ target: req.params.id, params: { profile: req.query.profile } })), requireRole('admin', 'cron:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!id || !/^[a-zA-Z0-9._:-]+$/.test(id)) {
@@ -1714,15 +5308,146 @@ app.delete('/api/cron/:id', async (req, res) => {
   }
 });
 
+// ============================================================
+// Fleet Hub — aggregate remote Pulse instances
+// ============================================================
+
+// config.fleet: { nodes: [{ name, url, token | username + password }], pollInterval: 30 }
+const fleetState = new Map(); // key = node url, value = { lastSeen, lastError, metrics, alerts, costs }
+
+function fleetNodes() {
+  return (CONFIG.fleet?.nodes || []).filter(n => n && n.url);
+}
+
+async function fetchNodeJson(node, apiPath) {
+  const headers = { Accept: 'application/json' };
+  if (node.token) {
+    headers.Authorization = `Bearer ${node.token}`;
+  } else if (node.username) {
+    headers.Authorization = 'Basic ' + Buffer.from(`${node.username}:${node.password || ''}`).toString('base64');
+  }
+  const res = await httpRequest(node.url.replace(/\/+$/, '') + apiPath, { headers, timeoutMs: 8000 });
+  if (res.status === 401) throw new Error('Unauthorized — check credentials');
+  if (res.status < 200 || res.status >= 300) throw new Error(`HTTP ${res.status} from ${apiPath}`);
+  return JSON.parse(res.body);
+}
+
+async function pollFleetNode(node) {
+  const state = fleetState.get(node.url) || { lastSeen: null, lastError: null, metrics: null, alerts: null, costs: null };
+  fleetState.set(node.url, state);
+  try {
+    const [metrics, alerts, costs] = await Promise.all([
+      fetchNodeJson(node, '/api/metrics'),
+      fetchNodeJson(node, '/api/alerts/status').catch(() => null),
+      fetchNodeJson(node, '/api/costs').catch(() => null)
+    ]);
+    Object.assign(state, { metrics, alerts, costs, lastSeen: Date.now(), lastError: null });
+  } catch (err) {
+    state.lastError = err.message;
+  }
+}
+
+// Compact per-server card data (same shape for the local node and remote ones)
+function summarizeNode(metrics, alerts, costs) {
+  const docker = metrics?.services?.docker || [];
+  const systemd = metrics?.services?.systemd || [];
+  const bots = (metrics?.bots || []).filter(Boolean);
+  return {
+    cpu: metrics?.system?.cpu?.usage ?? null,
+    temp: metrics?.system?.cpu?.temp ?? null,
+    ram: metrics?.system?.ram?.percent ?? null,
+    disk: metrics?.system?.disk?.percent ?? null,
+    containers: { running: docker.filter(c => c.running).length, total: docker.length },
+    services: { active: systemd.filter(s => s.active).length, total: systemd.length },
+    bots: { online: bots.filter(b => b.online).length, total: bots.length },
+    alerts: (alerts?.active || []).map(a => a.message?.split('\n')[1] || a.metric),
+    monthCost: costs?.month?.cost ?? null,
+    sampledAt: metrics?.timestamp ?? null
+  };
+}
+
+function fleetStatus(state, intervalMs) {
+  if (!state?.lastSeen) return 'offline';
+  if (!state.lastError) return 'online';
+  // Failing, but seen recently enough that the last data is still worth showing
+  const staleAfter = (CONFIG.fleet?.staleAfter || 5 * intervalMs / 1000) * 1000;
+  return Date.now() - state.lastSeen < staleAfter ? 'stale' : 'offline';
+}
+
+function startFleetPoller() {
+  const tick = async () => {
+    await Promise.all(fleetNodes().map(pollFleetNode));
+    setTimeout(tick, (CONFIG.fleet?.pollInterval || 30) * 1000);
+  };
+  tick();
+  if (fleetNodes().length > 0) console.log(`🛰️  Fleet hub polling ${fleetNodes().length} node(s)`);
+}
+
+// GET /api/fleet — this server plus every configured node
+app.get('/api/fleet', async (req, res) => {
+  try {
+    const intervalMs = (CONFIG.fleet?.pollInterval || 30) * 1000;
+    const [metrics, byModel] = await Promise.all([getLatestMetrics(), getCostByModel()]);
+    const costs = { month: { cost: Math.round(byModel.reduce((sum, m) => sum + m.month, 0) * 1e6) / 1e6 } };
+    const local = {
+      name: CONFIG.label || os.hostname(),
+      url: null,
+      self: true,
+      status: 'online',
+      lastSeen: Date.now(),
+      error: null,
+      ...summarizeNode(metrics, { active: alertHistory.filter(e => e.active) }, costs)
+    };
+    const nodes = fleetNodes().map(node => {
+      const state = fleetState.get(node.url);
+      return {
+        name: node.name || node.url,
+        url: node.url,
+        self: false,
+        status: fleetStatus(state, intervalMs),
+        lastSeen: state?.lastSeen || null,
+        error: state?.lastError || null,
+        ...summarizeNode(state?.metrics, state?.alerts, state?.costs)
+      };
+    });
+    res.json({ hub: fleetNodes().length > 0, nodes: [local, ...nodes] });
+  } catch (err) {
+    console.error('GET /api/fleet error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // --- Setup + Settings page ---
 app.get('/setup', (req, res) => res.sendFile(path.join(__dirname, 'public', 'setup.html')));
 app.get('/settings', (req, res) => res.sendFile(path.join(__dirname, 'public', 'setup.html')));
+app.get('/fleet', (req, res) => res.sendFile(path.join(__dirname, 'public', 'fleet.html')));
+app.get('/login', (req, res) => {
+  if (!CONFIG.auth?.enabled || getSession(req)) return res.redirect('/');
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
 
 // ============================================================
 // Startup
 // ============================================================
+function startBackgroundWorkers() {
+  if (CONFIG.bots.length > 0) {
+    Promise.all(CONFIG.bots.map(b => getBotStatus(b.name, b.profile)))
+      .then(() => console.log('Bot status cache warmed up'))
+      .catch(err => console.error('Bot cache warmup failed:', err.message));
+  }
+  startMetricsSampler();
+  startAlertWorker();
+  startProbeWorker();
+  startCertWorker();
+  startHistoryCollector();
+  startFleetPoller();
+}
+
 async function start() {
   CONFIG = await loadConfig();
+  await migrateLegacyAuth();
+  await ensureConfigBaseline();
+  await loadApiTokens();
 
   if (CONFIG.networkIface === 'auto') {
     CONFIG.networkIface = await detectNetworkIface();
@@ -1739,13 +5464,7 @@ async function start() {
       console.log(`\n⚙️  Pulse is in setup mode — open http://0.0.0.0:${CONFIG.port}/setup\n`);
     } else {
       console.log(`\n🫀 Pulse running on http://0.0.0.0:${CONFIG.port}\n`);
-      if (CONFIG.bots.length > 0) {
-        Promise.all(CONFIG.bots.map(b => getBotStatus(b.name, b.profile)))
-          .then(() => console.log('Bot status cache warmed up'))
-          .catch(err => console.error('Bot cache warmup failed:', err.message));
-      }
-      startAlertWorker();
-      startHistoryCollector();
+      startBackgroundWorkers();
     }
   });
 
@@ -2,8 +2,12 @@
 'use strict';
 
 const http = require('http');
+const net = require('net');
+const tls = require('tls');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { spawn, execFile } = require('child_process');
 
 // ============================================================
 // Config
@@ -15,10 +19,10 @@ const DATA_DIR = path.join(__dirname, '..', 'data');
 // Helpers
 // ============================================================
 
-function get(urlPath) {
+function get(urlPath, headers = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(urlPath, BASE);
-    http.get(url.href, (res) => {
+    http.get(url.href, { headers }, (res) => {
       let body = '';
       res.on('data', (chunk) => (body += chunk));
       res.on('end', () => {
@@ -30,13 +34,13 @@ function get(urlPath) {
   });
 }
 
-function post(urlPath, data) {
+function post(urlPath, data, headers = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(urlPath, BASE);
     const payload = JSON.stringify(data);
     const req = http.request(url.href, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers },
     }, (res) => {
       let body = '';
       res.on('data', (chunk) => (body += chunk));
@@ -51,6 +55,23 @@ function post(urlPath, data) {
   });
 }
 
+function del(urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(urlPath, BASE);
+    const req = http.request(url.href, { method: 'DELETE', headers }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => (body += chunk));
+      res.on('end', () => {
+        let json = null;
+        try { json = JSON.parse(body); } catch {}
+        resolve({ status: res.statusCode, headers: res.headers, body, json });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
 function getSSE(urlPath, timeoutMs = 3000) {
   return new Promise((resolve, reject) => {
     const url = new URL(urlPath, BASE);
@@ -96,6 +117,331 @@ function getSSE(urlPath, timeoutMs = 3000) {
   });
 }
 
+// Local stand-in servers (webhook receiver, SMTP) — resolve with { server, port }
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port }));
+  });
+}
+
+// Start a second Pulse instance on `port` with its own temp config; resolves once it answers
+// Config history versions a spawned instance recorded under data/config-history
+async function removeHistoryOf(file) {
+  const dir = path.join(DATA_DIR, 'config-history');
+  for (const f of await fs.promises.readdir(dir).catch(() => [])) {
+    const v = JSON.parse(await fs.promises.readFile(path.join(dir, f), 'utf8').catch(() => '{}'));
+    if (v.file === file) await fs.promises.unlink(path.join(dir, f)).catch(() => {});
+  }
+}
+
+async function spawnInstance(config, port, env = {}) {
+  const file = path.join(os.tmpdir(), `pulse-${port}-${process.pid}.json`);
+  await fs.promises.writeFile(file, JSON.stringify({ port, weatherLocation: '', networkIface: 'auto', dockerContainers: [], systemdServices: [], bots: [], ...config }));
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, ...env, PULSE_CONFIG: file },
+    stdio: 'ignore'
+  });
+  const base = `http://localhost:${port}`;
+  for (let i = 0; i < 20; i++) {
+    await new Promise((r) => setTimeout(r, 250));
+    if (await get(`${base}/api/health`).then((r) => r.status === 200, () => false)) break;
+  }
+  return {
+    base,
+    file,
+    async stop() {
+      const exited = new Promise((r) => child.once('exit', r));
+      child.kill();
+      await Promise.race([exited, new Promise((r) => setTimeout(r, 3000))]);
+      await fs.promises.unlink(file).catch(() => {});
+      await removeHistoryOf(file);
+    }
+  };
+}
+
+// Probe checks a spawned instance appended to data/probe-history.jsonl (probe names ending in -<pid>)
+async function removeProbeHistory() {
+  const file = path.join(DATA_DIR, 'probe-history.jsonl');
+  const raw = await fs.promises.readFile(file, 'utf8').catch(() => null);
+  if (raw == null) return;
+  const kept = raw.split('\n').filter((line) => line && !line.includes(`-${process.pid}"`));
+  if (kept.length) await fs.promises.writeFile(file, kept.join('\n') + '\n');
+  else await fs.promises.unlink(file).catch(() => {});
+}
+
+// A throwaway CA and leaf certificates for soon.test (5 days) and far.test (90 days), laid out like
+// /etc/letsencrypt/live/<domain>/{cert,chain,fullchain,privkey}.pem — needs openssl
+async function fakeLetsEncrypt() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulse-certs-'));
+  const ec = '-newkey ec -pkeyopt ec_paramgen_curve:prime256v1 -nodes';
+  const script = `set -e
+openssl req -x509 ${ec} -keyout ca.key -out ca.pem -days 365 -subj "/O=Pulse Test/CN=Test CA" 2>/dev/null
+for d in soon:5 far:90; do
+  name=\${d%%:*}; days=\${d##*:}; out=live/$name.test
+  mkdir -p $out
+  openssl req -new ${ec} -keyout $out/privkey.pem -out $name.csr -subj "/CN=$name.test" 2>/dev/null
+  echo "subjectAltName=DNS:$name.test,DNS:www.$name.test" > $name.ext
+  openssl x509 -req -in $name.csr -CA ca.pem -CAkey ca.key -CAcreateserial -days $days -extfile $name.ext -out $out/cert.pem 2>/dev/null
+  cp ca.pem $out/chain.pem
+  cat $out/cert.pem ca.pem > $out/fullchain.pem
+done
+echo 'This directory contains your keys and certificates.' > live/README`;
+  await new Promise((resolve, reject) => execFile('sh', ['-c', script], { cwd: dir, timeout: 20000 }, (err) => (err ? reject(err) : resolve())));
+  return { dir, live: path.join(dir, 'live'), remove: () => fs.promises.rm(dir, { recursive: true, force: true }) };
+}
+
+// A `docker` on PATH that answers ps / inspect / stats with canned output and echoes compose arguments
+async function fakeDockerCli() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulse-docker-'));
+  await fs.promises.writeFile(path.join(dir, 'docker'), `#!/bin/sh
+case "$1" in
+  ps) printf 'web|||Up 2 hours (healthy)\\napi|||Up 5 minutes (unhealthy)\\nold|||Exited (1) 3 hours ago\\n' ;;
+  inspect) shift 3; for n in "$@"; do case "$n" in
+    web) echo "/web|nginx:1.25|running|healthy|0|0" ;;
+    api) echo "/api|ghcr.io/acme/api:latest|running|unhealthy|4|0" ;;
+    old) echo "/old|busybox|exited||0|1" ;;
+  esac; done ;;
+  compose) shift; echo "compose $*"; case "$*" in *pull*) sleep 1 ;; esac; printf ' Container media-db-1  Starting\\r Container media-db-1  Started\\n' ;;
+  stats) printf 'web|1.50%%|12.5MiB / 1.944GiB|0.63%%|1.2kB / 3.4MB|0B / 8.19kB\\napi|250.00%%|300MiB / 512MiB|58.59%%|10MB / 2MB|1GB / 0B\\n' ;;
+esac
+`, { mode: 0o755 });
+  return { dir, env: { PATH: `${dir}:${process.env.PATH}` }, remove: () => fs.promises.rm(dir, { recursive: true, force: true }) };
+}
+
+// A `systemctl` on PATH: nginx.service in the system manager, a failed sync.service in the user's, and a failed
+// backup.service nobody configured. Actions are appended to actions.log as "<scope> <action> <unit>"; disabling a
+// system unit is refused the way it is for a non-root caller.
+async function fakeSystemctl() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulse-systemctl-'));
+  await fs.promises.writeFile(path.join(dir, 'systemctl'), `#!/bin/sh
+dir="$(dirname "$0")"
+scope=system
+if [ "$1" = "--user" ]; then scope=user; shift; fi
+case "$1" in
+  show) case "$scope:$2" in
+    system:nginx.service) printf 'LoadState=loaded\\nActiveState=%s\\nSubState=running\\nMainPID=1234\\nMemoryCurrent=52428800\\nNRestarts=2\\nExecMainStatus=0\\nResult=success\\nUnitFileState=enabled\\nActiveEnterTimestamp=Mon 2026-10-19 08:00:00 UTC\\n' "$(cat "$dir/nginx.state" 2>/dev/null || echo active)" ;;
+    user:sync.service) printf 'LoadState=loaded\\nActiveState=failed\\nSubState=failed\\nMainPID=0\\nMemoryCurrent=[not set]\\nNRestarts=0\\nExecMainStatus=1\\nResult=exit-code\\nUnitFileState=%s\\nActiveEnterTimestamp=\\n' "$(cat "$dir/sync.enabled" 2>/dev/null || echo disabled)" ;;
+    *) printf 'LoadState=not-found\\nActiveState=inactive\\n' ;;
+  esac ;;
+  list-units) if [ "$scope" = user ]; then echo 'sync.service loaded failed failed Sync photos'; else echo 'backup.service loaded failed failed Nightly backup to S3'; fi ;;
+  stop) echo inactive > "$dir/nginx.state"; echo "$scope $1 $2" >> "$dir/actions.log" ;;
+  enable) echo enabled > "$dir/sync.enabled"; echo "$scope $1 $2" >> "$dir/actions.log" ;;
+  disable) if [ "$scope" = system ]; then echo "Failed to disable unit: Access denied" >&2; exit 1; fi; echo "$scope $1 $2" >> "$dir/actions.log" ;;
+  *) echo "$scope $1 $2" >> "$dir/actions.log" ;;
+esac
+`, { mode: 0o755 });
+  // journalctl -f: a few lines on the first call for each unit, then follows (briefly) without new output
+  await fs.promises.writeFile(path.join(dir, 'journalctl'), `#!/bin/sh
+dir="$(dirname "$0")"
+echo "$*" >> "$dir/journal.log"
+unit=; prev=
+for a in "$@"; do [ "$prev" = -u ] && unit="$a"; prev="$a"; done
+if [ ! -e "$dir/$unit.seen" ]; then
+  touch "$dir/$unit.seen"
+  echo 'Oct 19 08:00:01 host nginx[1234]: worker started'
+  echo 'Oct 19 08:00:02 host nginx[1234]: ERROR connect <db> refused'
+  echo 'Oct 19 08:00:03 host nginx[1234]: upstream error: timed out'
+  echo 'Oct 19 08:00:04 host nginx[1234]: request served'
+  echo 'Oct 19 08:00:05 host nginx[1234]: Panic: worker exited'
+fi
+exec sleep 3
+`, { mode: 0o755 });
+  return {
+    env: { PATH: `${dir}:${process.env.PATH}` },
+    actions: () => fs.promises.readFile(path.join(dir, 'actions.log'), 'utf8').catch(() => ''),
+    journal: () => fs.promises.readFile(path.join(dir, 'journal.log'), 'utf8').catch(() => ''),
+    remove: () => fs.promises.rm(dir, { recursive: true, force: true })
+  };
+}
+
+// A Docker Engine API stand-in on a unix socket: one container "web" with lifecycle actions, multiplexed logs,
+// and an image pull that brings a new nginx:1.25 so it can be recreated; plus a compose project "media"
+async function fakeDockerDaemon() {
+  const socketPath = path.join(os.tmpdir(), `pulse-docker-${process.pid}.sock`);
+  await fs.promises.unlink(socketPath).catch(() => {});
+  const calls = [];
+  const web = { status: 'running', image: 'sha256:old', latest: 'sha256:old', created: null };
+  const compose = (service) => ({
+    'com.docker.compose.project': 'media',
+    'com.docker.compose.service': service,
+    'com.docker.compose.project.working_dir': '/srv/media',
+    'com.docker.compose.project.config_files': '/srv/media/compose.yml'
+  });
+  const media = { 'media-app-1': { running: true, labels: compose('app') }, 'media-db-1': { running: false, labels: compose('db') } };
+  const frame = (stream, text) => {
+    const header = Buffer.alloc(8);
+    header[0] = stream;
+    header.writeUInt32BE(Buffer.byteLength(text), 4);
+    return Buffer.concat([header, Buffer.from(text)]);
+  };
+  const json = (res, data) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://docker');
+    calls.push(`${req.method} ${url.pathname}`);
+    if (url.pathname === '/_ping') return res.end('OK');
+    if (url.pathname === '/containers/json') {
+      const list = [{ Id: 'abc123', Names: ['/web'], Labels: {}, Status: 'Up 3 hours (healthy)' }].concat(Object.entries(media).map(([name, c]) => ({
+        Id: name, Names: [`/${name}`], Labels: c.labels, Status: c.running ? 'Up 5 minutes' : 'Exited (0) 1 hour ago'
+      })));
+      const label = JSON.parse(url.searchParams.get('filters') || '{}').label?.[0];
+      return json(res, label ? list.filter((c) => label.split('=')[1] === c.Labels['com.docker.compose.project']) : list);
+    }
+    const member = /^\/containers\/(media-\w+-1)\/(json|restart)$/.exec(url.pathname);
+    if (member) {
+      if (member[2] === 'json') return json(res, { Config: { Image: 'busybox', Labels: media[member[1]].labels }, State: { Status: media[member[1]].running ? 'running' : 'exited' } });
+      media[member[1]].running = true;
+      res.writeHead(204);
+      return res.end();
+    }
+    if (url.pathname === '/containers/web/json') {
+      return json(res, {
+        Id: 'abc123def456789',
+        Image: web.image,
+        Config: { Image: 'nginx:1.25', Hostname: 'abc123def456', Tty: false, Env: ['PATH=/usr/bin', 'MODE=prod'], Cmd: ['nginx'] },
+        State: { Status: web.status, Running: web.status === 'running', ExitCode: 0, Health: { Status: 'healthy' } },
+        RestartCount: 2,
+        HostConfig: { Binds: ['/srv/conf:/etc/nginx:ro'], RestartPolicy: { Name: 'unless-stopped' } },
+        Mounts: [{ Type: 'bind', Destination: '/etc/nginx' }, { Type: 'volume', Name: 'webdata', Destination: '/data', RW: true }],
+        NetworkSettings: { Networks: { frontend: { Aliases: ['web', 'abc123def456'] }, backend: { Aliases: null } } }
+      });
+    }
+    const lifecycle = /^\/containers\/web\/(start|stop|pause|unpause)$/.exec(url.pathname);
+    if (lifecycle && req.method === 'POST') {
+      web.status = { start: 'running', stop: 'exited', pause: 'paused', unpause: 'running' }[lifecycle[1]];
+      res.writeHead(204);
+      return res.end();
+    }
+    if (url.pathname === '/images/create' && req.method === 'POST') {
+      web.latest = 'sha256:new';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      for (const line of [
+        { status: 'Pulling from library/nginx', id: '1.25' },
+        { status: 'Downloading', id: 'l1', progressDetail: { current: 50, total: 100 } },
+        { status: 'Downloading', id: 'l2', progressDetail: { current: 0, total: 100 } },
+        { status: 'Download complete', id: 'l1' },
+        { status: 'Status: Downloaded newer image for nginx:1.25' }
+      ]) res.write(JSON.stringify(line) + '\r\n');
+      return res.end();
+    }
+    if (url.pathname.startsWith('/images/') && url.pathname.endsWith('/json')) {
+      const ref = decodeURIComponent(url.pathname.slice('/images/'.length, -'/json'.length));
+      if (ref === 'nginx:1.25') return json(res, { Id: web.latest });
+      return json(res, { Id: ref, Config: { Env: ['PATH=/usr/bin'], Cmd: ['nginx'] } });
+    }
+    if (url.pathname === '/containers/create' && req.method === 'POST') {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        web.created = JSON.parse(body);
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ Id: 'new123' }));
+      });
+      return;
+    }
+    if (url.pathname === '/containers/new123/start') {
+      web.image = web.latest;
+      web.status = 'running';
+    }
+    if (/^\/containers\/[^/]+\/rename$|^\/networks\/backend\/connect$|^\/containers\/new123\/start$/.test(url.pathname) || req.method === 'DELETE') {
+      req.resume();
+      res.writeHead(204);
+      return res.end();
+    }
+    if (url.pathname === '/containers/web/stats') {
+      return json(res, {
+        cpu_stats: { cpu_usage: { total_usage: 3000 }, system_cpu_usage: 20000, online_cpus: 2 },
+        precpu_stats: { cpu_usage: { total_usage: 1000 }, system_cpu_usage: 10000 },
+        memory_stats: { usage: 150, limit: 1000, stats: { inactive_file: 50 } },
+        networks: { eth0: { rx_bytes: 10, tx_bytes: 20 }, eth1: { rx_bytes: 5, tx_bytes: 5 } },
+        blkio_stats: { io_service_bytes_recursive: [{ op: 'read', value: 7 }, { op: 'write', value: 9 }, { op: 'Read', value: 1 }] }
+      });
+    }
+    if (url.pathname === '/containers/web/restart' && req.method === 'POST') {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (url.pathname === '/containers/web/logs') {
+      res.writeHead(200, { 'Content-Type': 'application/vnd.docker.raw-stream' });
+      return res.write(Buffer.concat([frame(1, 'hello from web\n'), frame(2, 'warn: \x1b[33mslow\x1b[0m\n')]));
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: `No such container: ${url.pathname}` }));
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, resolve);
+  });
+  return {
+    calls,
+    web,
+    media,
+    env: { DOCKER_HOST: `unix://${socketPath}`, PATH: '/nonexistent' },
+    close: () => new Promise((r) => { server.closeAllConnections(); server.close(r); })
+  };
+}
+
+function basic(user, pass) {
+  return { Authorization: 'Basic ' + Buffer.from(`${user}:${pass}`).toString('base64') };
+}
+
+function webhookStandIn() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      let json = null;
+      try { json = JSON.parse(body); } catch {}
+      received.push({ method: req.method, url: req.url, headers: req.headers, json });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  return listen(server).then((s) => ({ ...s, received }));
+}
+
+function smtpStandIn() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buf = '';
+    let inData = false;
+    let data = '';
+    const mail = { from: null, to: [] };
+    socket.write('220 standin ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buf += chunk.toString();
+      let idx;
+      while ((idx = buf.indexOf('\r\n')) !== -1) {
+        const line = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push({ ...mail, data });
+            socket.write('250 queued\r\n');
+          } else {
+            data += line + '\n';
+          }
+          continue;
+        }
+        const cmd = line.split(' ')[0].toUpperCase();
+        if (cmd === 'EHLO') socket.write('250-standin\r\n250 AUTH PLAIN\r\n');
+        else if (cmd === 'AUTH') socket.write('235 ok\r\n');
+        else if (cmd === 'MAIL') { mail.from = line; socket.write('250 ok\r\n'); }
+        else if (cmd === 'RCPT') { mail.to.push(line); socket.write('250 ok\r\n'); }
+        else if (cmd === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+        else if (cmd === 'QUIT') { socket.end('221 bye\r\n'); }
+        else socket.write('502 unknown\r\n');
+      }
+    });
+  });
+  return listen(server).then((s) => ({ ...s, messages }));
+}
+
 // ============================================================
 // State shared between tests
 // ============================================================
@@ -873,6 +1219,1354 @@ test(87, 'POST /api/cron/create with profile field works or returns not_supporte
   return { pass: true, detail: `status ${r.status}` };
 });
 
+// --- Notification Channels (4) ---
+
+test(88, 'GET /api/alerts/status → has channels array', async () => {
+  const r = await get('/api/alerts/status');
+  if (!Array.isArray(r.json?.channels)) return { pass: false, detail: `channels is ${typeof r.json?.channels}` };
+  return { pass: true, detail: r.json.channels.map((c) => `${c.id}:${c.type}`).join(', ') };
+});
+
+test(89, 'POST /api/alerts/test with webhook channel → stand-in receives JSON', async () => {
+  const hook = await webhookStandIn();
+  try {
+    const r = await post('/api/alerts/test', { channel: { type: 'webhook', url: `http://127.0.0.1:${hook.port}/hook` } });
+    if (r.json?.ok !== true) return { pass: false, detail: `ok = ${r.json?.ok}, error: ${r.json?.error}` };
+    const msg = hook.received[0];
+    if (!msg) return { pass: false, detail: 'stand-in received nothing' };
+    if (msg.json?.event !== 'test') return { pass: false, detail: `event = ${msg.json?.event}` };
+    if (typeof msg.json?.text !== 'string' || msg.json.text.includes('<b>')) return { pass: false, detail: `text: ${msg.json?.text}` };
+    return { pass: true, detail: msg.json.title };
+  } finally {
+    hook.server.close();
+  }
+});
+
+test(90, 'POST /api/alerts/test with email channel → SMTP stand-in receives mail', async () => {
+  const smtp = await smtpStandIn();
+  try {
+    const r = await post('/api/alerts/test', {
+      channel: { type: 'email', host: '127.0.0.1', port: smtp.port, user: 'pulse', pass: 'secret', from: 'pulse@test.local', to: ['ops@test.local'] },
+    });
+    if (r.json?.ok !== true) return { pass: false, detail: `ok = ${r.json?.ok}, error: ${r.json?.error}` };
+    const mail = smtp.messages[0];
+    if (!mail) return { pass: false, detail: 'stand-in received no mail' };
+    if (!mail.to[0]?.includes('ops@test.local')) return { pass: false, detail: `rcpt: ${mail.to[0]}` };
+    if (!mail.data.includes('Alerts are working')) return { pass: false, detail: 'body missing' };
+    return { pass: true, detail: '' };
+  } finally {
+    smtp.server.close();
+  }
+});
+
+test(91, 'POST /api/alerts/test with unknown channel type → 400', async () => {
+  const r = await post('/api/alerts/test', { channel: { type: 'carrier-pigeon' } });
+  if (r.status !== 400) return { pass: false, detail: `status ${r.status}` };
+  return { pass: true, detail: r.json?.error || '' };
+});
+
+// --- Background Sampler (2) ---
+
+test(94, 'GET /api/metrics/stream → SSE stream starts with "event: metrics"', async () => {
+  try {
+    const r = await getSSE('/api/metrics/stream', 15000);
+    if (!r.isSSE) return { pass: false, detail: `got JSON: ${r.body}` };
+    if (!r.body.includes('event: metrics')) return { pass: false, detail: `first chunk: ${r.body.slice(0, 100)}` };
+    const data = r.body.split('\n').find((l) => l.startsWith('data: '));
+    if (data && !JSON.parse(data.slice(6)).system) return { pass: false, detail: 'snapshot has no system object' };
+    return { pass: true, detail: 'SSE stream ok' };
+  } catch (err) {
+    return { pass: false, detail: err.message };
+  }
+});
+
+test(95, 'GET /api/metrics twice → served from the same background snapshot', async () => {
+  const a = await get('/api/metrics');
+  const b = await get('/api/metrics');
+  if (typeof a.json?.timestamp !== 'number') return { pass: false, detail: 'no timestamp' };
+  if (b.json?.timestamp !== a.json.timestamp) {
+    // A new sample may have landed between the two requests — only fail if they are far apart
+    if (b.json.timestamp - a.json.timestamp < 5000) return { pass: false, detail: 'each request sampled anew' };
+  }
+  return { pass: true, detail: `snapshot ${new Date(a.json.timestamp).toISOString()}` };
+});
+
+// --- Prometheus Exporter (2) ---
+
+test(92, 'GET /metrics with configured token → Prometheus text with HELP/TYPE', async () => {
+  const config = JSON.parse(await fs.promises.readFile(path.join(__dirname, '..', 'config.json'), 'utf8'));
+  const token = config.prometheus?.token;
+  const r = await get('/metrics', token ? { Authorization: `Bearer ${token}` } : {});
+  if (!config.prometheus?.enabled) {
+    if (r.status !== 404) return { pass: false, detail: `disabled but status ${r.status}` };
+    return { pass: true, detail: 'disabled (ok)' };
+  }
+  if (r.status !== 200) return { pass: false, detail: `status ${r.status}` };
+  if (!r.headers['content-type']?.startsWith('text/plain')) return { pass: false, detail: `content-type ${r.headers['content-type']}` };
+  if (!r.body.includes('# HELP pulse_cpu_usage_percent') || !r.body.includes('# TYPE pulse_cpu_usage_percent gauge')) {
+    return { pass: false, detail: 'missing HELP/TYPE for pulse_cpu_usage_percent' };
+  }
+  if (!/^pulse_cpu_usage_percent \d+/m.test(r.body)) return { pass: false, detail: 'no cpu sample' };
+  return { pass: true, detail: `${r.body.split('\n').filter((l) => l && !l.startsWith('#')).length} samples` };
+});
+
+test(93, 'GET /metrics with wrong bearer token → 401 (or 404 when disabled)', async () => {
+  const r = await get('/metrics', { Authorization: 'Bearer wrong-token' });
+  if (r.status === 404) return { pass: true, detail: 'disabled (ok)' };
+  const config = JSON.parse(await fs.promises.readFile(path.join(__dirname, '..', 'config.json'), 'utf8'));
+  if (!config.prometheus?.token) return { pass: true, detail: 'no token configured (ok)' };
+  if (r.status !== 401) return { pass: false, detail: `status ${r.status}` };
+  return { pass: true, detail: 'rejected' };
+});
+
+// --- Fleet Hub (2) ---
+
+test(96, 'GET /api/fleet → this server listed first as self', async () => {
+  const r = await get('/api/fleet');
+  if (r.status !== 200) return { pass: false, detail: `status ${r.status}` };
+  const self = r.json?.nodes?.[0];
+  if (!self?.self || self.status !== 'online') return { pass: false, detail: `first node: ${JSON.stringify(self)}` };
+  if (typeof self.cpu !== 'number' || typeof self.containers?.total !== 'number') return { pass: false, detail: 'missing summary fields' };
+  return { pass: true, detail: `hub=${r.json.hub}, ${r.json.nodes.length} node(s)` };
+});
+
+test(97, 'Hub instance polls this server (online) and an unreachable node (offline)', async () => {
+  const config = JSON.parse(await fs.promises.readFile(path.join(__dirname, '..', 'config.json'), 'utf8'));
+  if (config.auth?.enabled) return { pass: true, detail: 'auth enabled — skipped (no plaintext credentials to poll with)' };
+  const hub = await spawnInstance({
+    fleet: { nodes: [{ name: 'main', url: BASE }, { name: 'ghost', url: 'http://127.0.0.1:1' }], pollInterval: 2 }
+  }, 6683);
+  try {
+    let nodes = [];
+    for (let i = 0; i < 20; i++) {
+      const r = await get(`${hub.base}/api/fleet`).catch(() => null);
+      nodes = r?.json?.nodes || [];
+      if (nodes.find((n) => n.name === 'main')?.status === 'online') break;
+      await new Promise((r) => setTimeout(r, 750));
+    }
+    const byName = Object.fromEntries(nodes.map((n) => [n.name, n]));
+    if (byName.main?.status !== 'online') return { pass: false, detail: `main: ${JSON.stringify(byName.main)}` };
+    if (typeof byName.main.cpu !== 'number') return { pass: false, detail: 'main has no cpu value' };
+    if (byName.ghost?.status !== 'offline' || !byName.ghost.error) return { pass: false, detail: `ghost: ${JSON.stringify(byName.ghost)}` };
+    return { pass: true, detail: `main cpu ${byName.main.cpu}%, ghost: ${byName.ghost.error}` };
+  } finally {
+    await hub.stop();
+  }
+});
+
+// --- Users & Roles (3) ---
+
+test(98, 'Legacy plaintext auth is migrated to a hashed admin on startup', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, basic: true, username: 'boss', password: 'pw-legacy' } }, 6684);
+  try {
+    const saved = JSON.parse(await fs.promises.readFile(inst.file, 'utf8'));
+    if (saved.auth.password || JSON.stringify(saved).includes('pw-legacy')) return { pass: false, detail: 'plaintext password still on disk' };
+    const user = saved.auth.users?.[0];
+    if (user?.username !== 'boss' || user.role !== 'admin' || !/^scrypt:/.test(user.passwordHash)) {
+      return { pass: false, detail: `users: ${JSON.stringify(saved.auth.users)}` };
+    }
+    const me = await get(`${inst.base}/api/me`, basic('boss', 'pw-legacy'));
+    if (me.json?.role !== 'admin') return { pass: false, detail: `me: ${me.body}` };
+    const wrong = await get(`${inst.base}/api/me`, basic('boss', 'nope'));
+    if (wrong.status !== 401) return { pass: false, detail: `wrong password → ${wrong.status}` };
+    return { pass: true, detail: 'hashed admin "boss"' };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(99, 'Viewer can read but gets 403 on restart, logs and config', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' } }, 6684);
+  try {
+    const admin = basic('admin', 'pw-admin');
+    const saved = await post(`${inst.base}/api/setup`, {
+      port: 6684, weatherLocation: '',
+      auth: { enabled: true, basic: true, users: [{ username: 'admin', role: 'admin' }, { username: 'view', role: 'viewer', password: 'pw-view' }] }
+    }, admin);
+    if (!saved.json?.ok) return { pass: false, detail: `setup as admin: ${saved.body}` };
+    const viewer = basic('view', 'pw-view');
+    const checks = [
+      ['GET /api/metrics', await get(`${inst.base}/api/metrics`, viewer), 200],
+      ['POST /api/action/restart-service', await post(`${inst.base}/api/action/restart-service`, { name: 'x' }, viewer), 403],
+      ['GET /api/logs/service/x', await get(`${inst.base}/api/logs/service/x`, viewer), 403],
+      ['GET /api/config', await get(`${inst.base}/api/config`, viewer), 403],
+      ['POST /api/setup', await post(`${inst.base}/api/setup`, { port: 6684 }, viewer), 403],
+      ['no credentials', await get(`${inst.base}/api/metrics`), 401]
+    ];
+    const bad = checks.find(([, r, status]) => r.status !== status);
+    if (bad) return { pass: false, detail: `${bad[0]} → ${bad[1].status}, expected ${bad[2]}` };
+    // Viewers see which programs run, not their arguments
+    const procs = await get(`${inst.base}/api/processes?limit=100&window=200`, viewer);
+    const full = await get(`${inst.base}/api/processes?limit=100&window=200`, admin);
+    if (procs.json?.args !== false || full.json?.args !== true) return { pass: false, detail: `args flag: viewer ${procs.json?.args}, admin ${full.json?.args}` };
+    const fullBy = new Map((full.json.processes || []).map((p) => [p.pid, p.command]));
+    // Kernel threads ([kworker/...]) have no command line and may be renamed between the two calls
+    const shared = (procs.json.processes || []).filter((p) => fullBy.has(p.pid) && !p.command.startsWith('['));
+    const leaked = shared.find((p) => !fullBy.get(p.pid).startsWith(p.command) || (p.command.length < fullBy.get(p.pid).length && p.command.includes(' ')));
+    if (leaked) return { pass: false, detail: `viewer saw ${leaked.command}` };
+    if (!shared.some((p) => p.command.length < fullBy.get(p.pid).length)) return { pass: false, detail: 'no command line was shortened for the viewer' };
+    return { pass: true, detail: `${checks.length} checks` };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(100, 'Admin passes role checks; GET /api/config never returns password hashes', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' } }, 6684);
+  try {
+    const admin = basic('admin', 'pw-admin');
+    // Unknown service → 400 means the role check let the request through
+    const restart = await post(`${inst.base}/api/action/restart-service`, { name: 'x' }, admin);
+    if (restart.status !== 400) return { pass: false, detail: `restart as admin → ${restart.status}` };
+    const cfg = await get(`${inst.base}/api/config`, admin);
+    if (cfg.status !== 200) return { pass: false, detail: `config → ${cfg.status}` };
+    if (cfg.body.includes('passwordHash') || cfg.body.includes('scrypt:')) return { pass: false, detail: 'hash leaked' };
+    if (cfg.json.auth.users[0]?.username !== 'admin') return { pass: false, detail: `users: ${JSON.stringify(cfg.json.auth.users)}` };
+    const noAdmin = await post(`${inst.base}/api/setup`, {
+      port: 6684, weatherLocation: '', auth: { enabled: true, users: [{ username: 'admin', role: 'viewer' }] }
+    }, admin);
+    if (noAdmin.status !== 400) return { pass: false, detail: `demoting the last admin → ${noAdmin.status}` };
+    return { pass: true, detail: 'ok' };
+  } finally {
+    await inst.stop();
+  }
+});
+
+// --- Sessions (3) ---
+
+function sessionCookies(r) {
+  const jar = {};
+  for (const c of r.headers['set-cookie'] || []) {
+    const [pair] = c.split(';');
+    const eq = pair.indexOf('=');
+    jar[pair.slice(0, eq)] = pair.slice(eq + 1);
+  }
+  return jar;
+}
+
+test(101, 'POST /api/login → HttpOnly session cookie; writes need the CSRF token; logout ends the session', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, username: 'admin', password: 'pw-admin' } }, 6684);
+  try {
+    const bad = await post(`${inst.base}/api/login`, { username: 'admin', password: 'wrong' });
+    if (bad.status !== 401) return { pass: false, detail: `wrong password → ${bad.status}` };
+    const login = await post(`${inst.base}/api/login`, { username: 'admin', password: 'pw-admin' });
+    if (!login.json?.ok) return { pass: false, detail: `login: ${login.body}` };
+    if (!(login.headers['set-cookie'] || []).some((c) => c.startsWith('pulse_session=') && /HttpOnly/.test(c))) {
+      return { pass: false, detail: 'no HttpOnly session cookie' };
+    }
+    const jar = sessionCookies(login);
+    const cookie = { Cookie: `pulse_session=${jar.pulse_session}` };
+    const me = await get(`${inst.base}/api/me`, cookie);
+    if (me.json?.role !== 'admin') return { pass: false, detail: `me: ${me.body}` };
+    const tampered = await get(`${inst.base}/api/me`, { Cookie: `pulse_session=${jar.pulse_session.replace(/.$/, (c) => (c === 'A' ? 'B' : 'A'))}` });
+    if (tampered.status !== 401) return { pass: false, detail: `tampered cookie → ${tampered.status}` };
+    const noCsrf = await post(`${inst.base}/api/action/restart-service`, { name: 'x' }, cookie);
+    if (noCsrf.status !== 403) return { pass: false, detail: `write without CSRF → ${noCsrf.status}` };
+    const withCsrf = await post(`${inst.base}/api/action/restart-service`, { name: 'x' }, { ...cookie, 'X-CSRF-Token': jar.pulse_csrf });
+    if (withCsrf.status !== 400) return { pass: false, detail: `write with CSRF → ${withCsrf.status}` };
+    await post(`${inst.base}/api/logout`, {}, { ...cookie, 'X-CSRF-Token': jar.pulse_csrf });
+    const after = await get(`${inst.base}/api/me`, cookie);
+    if (after.status !== 401) return { pass: false, detail: `after logout → ${after.status}` };
+    return { pass: true, detail: 'login, CSRF and logout ok' };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(102, 'Repeated failed logins lock the IP out (429) even for the right password', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, username: 'admin', password: 'pw-admin', maxAttempts: 3, lockoutMinutes: 1 } }, 6684);
+  try {
+    for (let i = 0; i < 2; i++) await post(`${inst.base}/api/login`, { username: 'admin', password: 'nope' });
+    const third = await post(`${inst.base}/api/login`, { username: 'admin', password: 'nope' });
+    if (third.status !== 429) return { pass: false, detail: `3rd failure → ${third.status}` };
+    const right = await post(`${inst.base}/api/login`, { username: 'admin', password: 'pw-admin' });
+    if (right.status !== 429) return { pass: false, detail: `correct password while locked → ${right.status}` };
+    if (!right.headers['retry-after']) return { pass: false, detail: 'no Retry-After header' };
+    return { pass: true, detail: right.json?.error };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(103, 'Without a session: pages redirect to /login, Basic auth is refused unless enabled', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, username: 'admin', password: 'pw-admin' } }, 6684);
+  try {
+    const page = await get(`${inst.base}/`);
+    if (page.status !== 302 || !page.headers.location?.startsWith('/login?next=')) {
+      return { pass: false, detail: `GET / → ${page.status} ${page.headers.location}` };
+    }
+    const login = await get(`${inst.base}/login`);
+    if (login.status !== 200 || !login.body.includes('/api/login')) return { pass: false, detail: `GET /login → ${login.status}` };
+    const health = await get(`${inst.base}/api/health`);
+    if (health.status !== 200) return { pass: false, detail: `health → ${health.status}` };
+    const basicReq = await get(`${inst.base}/api/me`, basic('admin', 'pw-admin'));
+    if (basicReq.status !== 401) return { pass: false, detail: `Basic with auth.basic off → ${basicReq.status}` };
+    return { pass: true, detail: 'redirect + public paths ok' };
+  } finally {
+    await inst.stop();
+  }
+});
+
+// --- API Tokens (2) ---
+
+test(104, 'Bearer token is limited to its scopes and stops working once revoked', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' } }, 6684);
+  const admin = basic('admin', 'pw-admin');
+  const created = [];
+  try {
+    const mk = async (scopes) => {
+      const r = await post(`${inst.base}/api/tokens`, { name: `test-${scopes.join('+')}`, scopes, expiresInDays: 1 }, admin);
+      if (r.json?.id) created.push(r.json.id);
+      return r.json;
+    };
+    const reader = await mk(['metrics:read']);
+    const restarter = await mk(['restart']);
+    if (!reader?.token?.startsWith('pulse_') || reader.hash) return { pass: false, detail: `create: ${JSON.stringify(reader)}` };
+    const bearer = (t) => ({ Authorization: `Bearer ${t.token}` });
+    const checks = [
+      ['reader GET /api/metrics', await get(`${inst.base}/api/metrics`, bearer(reader)), 200],
+      ['reader POST restart', await post(`${inst.base}/api/action/restart-service`, { name: 'x' }, bearer(reader)), 403],
+      ['reader GET logs', await get(`${inst.base}/api/logs/service/x`, bearer(reader)), 403],
+      ['reader GET /api/config', await get(`${inst.base}/api/config`, bearer(reader)), 403],
+      ['restarter POST restart', await post(`${inst.base}/api/action/restart-service`, { name: 'x' }, bearer(restarter)), 400],
+      ['restarter GET /api/metrics', await get(`${inst.base}/api/metrics`, bearer(restarter)), 403],
+      ['bogus token', await get(`${inst.base}/api/metrics`, { Authorization: 'Bearer pulse_nope' }), 401]
+    ];
+    const bad = checks.find(([, r, status]) => r.status !== status);
+    if (bad) return { pass: false, detail: `${bad[0]} → ${bad[1].status}, expected ${bad[2]}` };
+    const list = await get(`${inst.base}/api/tokens`, admin);
+    const used = list.json?.tokens?.find((t) => t.id === reader.id);
+    if (!used?.lastUsedAt || !used.lastUsedIp) return { pass: false, detail: `last use not recorded: ${JSON.stringify(used)}` };
+    if (list.body.includes('"hash"')) return { pass: false, detail: 'hash exposed by GET /api/tokens' };
+    await del(`${inst.base}/api/tokens/${reader.id}`, admin);
+    const revoked = await get(`${inst.base}/api/metrics`, bearer(reader));
+    if (revoked.status !== 401) return { pass: false, detail: `revoked token → ${revoked.status}` };
+    return { pass: true, detail: `${checks.length} scope checks, revoke ok` };
+  } finally {
+    for (const id of created) await del(`${inst.base}/api/tokens/${id}`, admin).catch(() => {});
+    await inst.stop();
+  }
+});
+
+test(105, 'Tokens file stores hashes only; invalid scope → 400', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' } }, 6684);
+  const admin = basic('admin', 'pw-admin');
+  try {
+    const badScope = await post(`${inst.base}/api/tokens`, { name: 'x', scopes: ['root'] }, admin);
+    if (badScope.status !== 400) return { pass: false, detail: `bad scope → ${badScope.status}` };
+    const r = await post(`${inst.base}/api/tokens`, { name: 'hash-check', scopes: ['logs:read'] }, admin);
+    const raw = await fs.promises.readFile(path.join(DATA_DIR, 'api-tokens.json'), 'utf8');
+    await del(`${inst.base}/api/tokens/${r.json.id}`, admin);
+    if (raw.includes(r.json.token)) return { pass: false, detail: 'plaintext token on disk' };
+    if (!raw.includes(r.json.id)) return { pass: false, detail: 'token not persisted' };
+    return { pass: true, detail: 'sha256 only' };
+  } finally {
+    await inst.stop();
+  }
+});
+
+// --- Audit Log (2) ---
+
+test(106, 'Restart attempt is appended to the audit log with user, IP, target and result', async () => {
+  const marker = `audit-probe-${Date.now()}`;
+  await post('/api/action/restart-service', { name: marker });
+  await new Promise((r) => setTimeout(r, 200));
+  const r = await get('/api/audit?action=service.restart&limit=5');
+  if (r.status !== 200) return { pass: false, detail: `status ${r.status}` };
+  const e = r.json.entries.find((x) => x.target === marker);
+  if (!e) return { pass: false, detail: 'entry not found' };
+  if (e.ok !== false || e.status !== 400 || e.result !== 'Unknown service') return { pass: false, detail: JSON.stringify(e) };
+  if (!e.user || !e.ip || typeof e.ts !== 'number') return { pass: false, detail: `missing who/where/when: ${JSON.stringify(e)}` };
+  const raw = await fs.promises.readFile(path.join(DATA_DIR, 'audit.jsonl'), 'utf8');
+  if (!raw.includes(marker)) return { pass: false, detail: 'not in data/audit.jsonl' };
+  return { pass: true, detail: `${e.user}@${e.ip} → ${e.result}` };
+});
+
+test(107, 'GET /api/audit filters by action prefix and ok, and paginates newest first', async () => {
+  await post('/api/action/restart-docker', { name: 'audit-probe-a' });
+  await post('/api/action/restart-docker', { name: 'audit-probe-b' });
+  await new Promise((r) => setTimeout(r, 200));
+  const page1 = await get('/api/audit?action=container&limit=1');
+  const page2 = await get('/api/audit?action=container&limit=1&offset=1');
+  if (page1.json?.total < 2) return { pass: false, detail: `total ${page1.json?.total}` };
+  if (page1.json.entries[0]?.target !== 'audit-probe-b' || page2.json.entries[0]?.target !== 'audit-probe-a') {
+    return { pass: false, detail: `order: ${page1.json.entries[0]?.target}, ${page2.json.entries[0]?.target}` };
+  }
+  const okOnly = await get('/api/audit?ok=true&limit=500');
+  if (okOnly.json.entries.some((e) => !e.ok)) return { pass: false, detail: 'ok=true returned a failure' };
+  const other = await get('/api/audit?action=cron&limit=500');
+  if (other.json.entries.some((e) => !e.action.startsWith('cron.'))) return { pass: false, detail: 'action filter leaked' };
+  return { pass: true, detail: `${page1.json.total} container entries` };
+});
+
+// --- Secrets (2) ---
+
+test(108, 'GET /api/config redacts secrets; saving the placeholder keeps the stored value', async () => {
+  const inst = await spawnInstance({
+    auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' },
+    prometheus: { enabled: true, token: 'prom-secret-108' },
+    alerts: { telegram: { botToken: 'tg-secret-108', chatId: '42' } }
+  }, 6683);
+  const admin = basic('admin', 'pw-admin');
+  try {
+    const r = await get(`${inst.base}/api/config`, admin);
+    if (r.body.includes('prom-secret-108') || r.body.includes('tg-secret-108')) return { pass: false, detail: 'plaintext secret in response' };
+    if (r.json.prometheus.token !== '__unchanged__' || r.json.alerts.telegram.botToken !== '__unchanged__') {
+      return { pass: false, detail: `not redacted: ${JSON.stringify(r.json.prometheus)}` };
+    }
+    if (r.json.alerts.telegram.chatId !== '42') return { pass: false, detail: 'non-secret field redacted' };
+    const save = await post(`${inst.base}/api/setup`, { ...r.json, weatherLocation: '' }, admin);
+    if (!save.json?.ok) return { pass: false, detail: `save: ${save.status} ${save.body}` };
+    const raw = await fs.promises.readFile(inst.file, 'utf8');
+    if (raw.includes('__unchanged__') || !raw.includes('prom-secret-108') || !raw.includes('tg-secret-108')) {
+      return { pass: false, detail: 'placeholder written to disk' };
+    }
+    const metrics = await get(`${inst.base}/metrics`, { Authorization: 'Bearer prom-secret-108' });
+    if (metrics.status !== 200) return { pass: false, detail: `/metrics after save → ${metrics.status}` };
+    return { pass: true, detail: 'redacted over the API, kept on save' };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(109, 'encryptSecrets stores ciphertext on disk and decrypts it on restart', async () => {
+  const keyFile = path.join(os.tmpdir(), `pulse-key-${process.pid}`);
+  const env = { PULSE_SECRET_KEY_FILE: keyFile };
+  let inst = await spawnInstance({
+    auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' },
+    prometheus: { enabled: true, token: 'prom-secret-109' }
+  }, 6683, env);
+  const admin = basic('admin', 'pw-admin');
+  try {
+    const cfg = (await get(`${inst.base}/api/config`, admin)).json;
+    const save = await post(`${inst.base}/api/setup`, { ...cfg, weatherLocation: '', encryptSecrets: true }, admin);
+    if (!save.json?.ok) return { pass: false, detail: `save: ${save.status} ${save.body}` };
+    const raw = await fs.promises.readFile(inst.file, 'utf8');
+    if (raw.includes('prom-secret-109')) return { pass: false, detail: 'plaintext token on disk' };
+    if (!/"token": "enc:v1:/.test(raw)) return { pass: false, detail: 'token not encrypted' };
+    const mode = (await fs.promises.stat(keyFile)).mode & 0o777;
+    if (mode !== 0o600) return { pass: false, detail: `key file mode ${mode.toString(8)}` };
+    await inst.stop();
+    inst = await spawnInstance(JSON.parse(raw), 6683, env);
+    const metrics = await get(`${inst.base}/metrics`, { Authorization: 'Bearer prom-secret-109' });
+    if (metrics.status !== 200) return { pass: false, detail: `/metrics after restart → ${metrics.status}` };
+    return { pass: true, detail: 'AES-256-GCM, key 0600' };
+  } finally {
+    await inst.stop();
+    await fs.promises.unlink(keyFile).catch(() => {});
+  }
+});
+
+// --- Config Validation (2) ---
+
+test(110, 'POST /api/setup rejects an invalid config with field-level errors and keeps the old one', async () => {
+  const configPath = path.join(__dirname, '..', 'config.json');
+  const before = await fs.promises.readFile(configPath, 'utf8');
+  const r = await post('/api/setup', {
+    port: 6682,
+    weatherLocation: '',
+    bots: 'not-a-list',
+    alerts: { rules: [{ metric: 'cpuu', threshold: 90 }, { metric: 'service_down' }] },
+    modelPricing: { 'my-model': { input: 1, output: 'cheap', cacheRead: 0, cacheWrite: 0 } }
+  });
+  if (r.status !== 400) return { pass: false, detail: `status ${r.status}` };
+  const paths = (r.json?.errors || []).map((e) => e.path);
+  for (const p of ['bots', 'alerts.rules[0].metric', 'alerts.rules[1].name', 'modelPricing.my-model.output']) {
+    if (!paths.includes(p)) return { pass: false, detail: `missing ${p} in ${paths.join(', ')}` };
+  }
+  const after = await fs.promises.readFile(configPath, 'utf8');
+  if (after !== before) return { pass: false, detail: 'config.json was rewritten' };
+  const live = await get('/api/config');
+  if (!Array.isArray(live.json?.bots)) return { pass: false, detail: 'invalid config was hot-reloaded' };
+  return { pass: true, detail: `${paths.length} field errors` };
+});
+
+test(111, 'Server refuses to start on an invalid config.json and names the bad fields', async () => {
+  const file = path.join(os.tmpdir(), `pulse-invalid-${process.pid}.json`);
+  await fs.promises.writeFile(file, JSON.stringify({ port: 6685, bots: [{ profile: 'x', stateDir: 'relative/dir' }], budget: { warning: 250 } }));
+  try {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: { ...process.env, PULSE_CONFIG: file },
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', (d) => (stderr += d));
+    const code = await Promise.race([
+      new Promise((r) => child.once('exit', r)),
+      new Promise((r) => setTimeout(() => { child.kill(); r('timeout'); }, 5000))
+    ]);
+    if (code !== 1) return { pass: false, detail: `exit ${code}` };
+    for (const p of ['bots[0].name', 'bots[0].stateDir', 'budget.warning']) {
+      if (!stderr.includes(p)) return { pass: false, detail: `stderr lacks ${p}: ${stderr.trim()}` };
+    }
+    return { pass: true, detail: 'exit 1' };
+  } finally {
+    await fs.promises.unlink(file).catch(() => {});
+  }
+});
+
+// --- Config History (2) ---
+
+test(112, 'Config history records saves with author, diffs them with secrets masked, and rolls back', async () => {
+  const inst = await spawnInstance({
+    auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' },
+    prometheus: { enabled: true, token: 'prom-old-112' },
+    budget: { monthly: 10 }
+  }, 6683);
+  const admin = basic('admin', 'pw-admin');
+  try {
+    const cfg = (await get(`${inst.base}/api/config`, admin)).json;
+    await post(`${inst.base}/api/setup`, { ...cfg, weatherLocation: '', budget: { monthly: 50 } }, admin);
+    await post(`${inst.base}/api/setup`, { ...cfg, weatherLocation: '', budget: { monthly: 75 }, prometheus: { enabled: true, token: 'prom-new-112' } }, admin);
+
+    const hist = (await get(`${inst.base}/api/config/history`, admin)).json;
+    const [latest, first] = hist?.versions || [];
+    if (hist?.versions?.length !== 3) return { pass: false, detail: `${hist?.versions?.length} versions` };
+    if (latest.author !== 'admin' || latest.action !== 'save' || !latest.current) return { pass: false, detail: JSON.stringify(latest) };
+
+    const diff = await get(`${inst.base}/api/config/diff?to=${latest.id}`, admin);
+    if (diff.body.includes('prom-new-112') || diff.body.includes('prom-old-112')) return { pass: false, detail: 'secret in diff' };
+    const budget = diff.json.changes.find((c) => c.path === 'budget.monthly');
+    const token = diff.json.changes.find((c) => c.path === 'prometheus.token');
+    if (budget?.before !== 50 || budget?.after !== 75 || token?.op !== 'changed') return { pass: false, detail: JSON.stringify(diff.json.changes) };
+
+    const rb = await post(`${inst.base}/api/config/rollback`, { id: first.id }, admin);
+    if (!rb.json?.ok) return { pass: false, detail: `rollback: ${rb.status} ${rb.body}` };
+    const live = (await get(`${inst.base}/api/config`, admin)).json;
+    if (live.budget?.monthly !== 50) return { pass: false, detail: `budget after rollback ${live.budget?.monthly}` };
+    const metrics = await get(`${inst.base}/metrics`, { Authorization: 'Bearer prom-old-112' });
+    if (metrics.status !== 200) return { pass: false, detail: `old token after rollback → ${metrics.status}` };
+    const after = (await get(`${inst.base}/api/config/history`, admin)).json.versions[0];
+    if (after.action !== 'rollback' || after.rollbackOf !== first.id || !after.current) return { pass: false, detail: JSON.stringify(after) };
+    return { pass: true, detail: `rolled back to ${first.id}` };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(113, 'Config history keeps configHistoryLimit versions and is closed to API tokens', async () => {
+  const inst = await spawnInstance({
+    auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' },
+    configHistoryLimit: 2
+  }, 6684);
+  const admin = basic('admin', 'pw-admin');
+  let tokenId = null;
+  try {
+    const cfg = (await get(`${inst.base}/api/config`, admin)).json;
+    for (const label of ['one', 'two', 'three']) await post(`${inst.base}/api/setup`, { ...cfg, weatherLocation: '', label }, admin);
+    const hist = (await get(`${inst.base}/api/config/history`, admin)).json;
+    if (hist.versions.length !== 2) return { pass: false, detail: `${hist.versions.length} versions kept` };
+    const t = await post(`${inst.base}/api/tokens`, { name: 'hist', scopes: ['metrics:read'] }, admin);
+    tokenId = t.json.id;
+    const denied = await get(`${inst.base}/api/config/history`, { Authorization: `Bearer ${t.json.token}` });
+    if (denied.status !== 403) return { pass: false, detail: `token → ${denied.status}` };
+    return { pass: true, detail: 'pruned to 2; token → 403' };
+  } finally {
+    if (tokenId) await del(`${inst.base}/api/tokens/${tokenId}`, admin).catch(() => {});
+    await inst.stop();
+  }
+});
+
+// --- Config Export / Import (2) ---
+
+test(114, 'Config export strips secrets and users unless asked to include them', async () => {
+  const inst = await spawnInstance({
+    auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' },
+    prometheus: { enabled: true, token: 'prom-secret-114' },
+    modelPricing: { 'my-model': { input: 1, output: 2, cacheRead: 0.1, cacheWrite: 1 } }
+  }, 6683);
+  const admin = basic('admin', 'pw-admin');
+  try {
+    const stripped = await get(`${inst.base}/api/config/export`, admin);
+    if (stripped.json?.pulseBundle !== 1 || stripped.json.secrets !== 'stripped') return { pass: false, detail: stripped.body.slice(0, 120) };
+    if (!/attachment; filename="pulse-/.test(stripped.headers['content-disposition'] || '')) return { pass: false, detail: 'no attachment header' };
+    if (stripped.body.includes('prom-secret-114') || stripped.body.includes('scrypt:')) return { pass: false, detail: 'secret in stripped bundle' };
+    if (stripped.json.config.modelPricing?.['my-model']?.output !== 2) return { pass: false, detail: 'pricing overrides missing' };
+    const full = await get(`${inst.base}/api/config/export?secrets=1`, admin);
+    if (full.json?.config?.prometheus?.token !== 'prom-secret-114') return { pass: false, detail: 'token missing from full bundle' };
+    if (!full.json.config.auth?.users?.[0]?.passwordHash) return { pass: false, detail: 'users missing from full bundle' };
+    await new Promise((r) => setTimeout(r, 200));
+    const audit = await get(`${inst.base}/api/audit?action=config.export&limit=1`, admin);
+    if (audit.json?.entries?.[0]?.params?.secrets !== true) return { pass: false, detail: `audit: ${JSON.stringify(audit.json?.entries?.[0])}` };
+    return { pass: true, detail: 'stripped + full bundles' };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(115, 'Config import maps the interface, flags missing services/containers, and keeps imported users', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' } }, 6684);
+  const admin = basic('admin', 'pw-admin');
+  try {
+    const source = (await get(`${inst.base}/api/config/export?secrets=1`, admin)).json;
+    const bundle = {
+      ...source,
+      config: {
+        ...source.config,
+        label: 'cloned',
+        networkIface: 'nosuchif0',
+        systemdServices: ['nosuch-service-115'],
+        dockerContainers: ['nosuch-container-115'],
+        alerts: { rules: [{ metric: 'cpu', threshold: 90 }, { metric: 'service_down', name: 'nosuch-service-115' }] }
+      }
+    };
+    const r = await post(`${inst.base}/api/config/import`, bundle, admin);
+    if (!r.json?.ok) return { pass: false, detail: `${r.status} ${r.body}` };
+    const { config, review, detected } = r.json;
+    if (config.networkIface !== detected.iface) return { pass: false, detail: `iface ${config.networkIface}` };
+    const paths = review.map((i) => `${i.kind}:${i.path}`);
+    for (const p of ['mapped:networkIface', 'missing:systemdServices', 'missing:dockerContainers', 'missing:alerts.rules[1]']) {
+      if (!paths.includes(p)) return { pass: false, detail: `missing ${p} in ${paths.join(', ')}` };
+    }
+    if (paths.some((p) => p.endsWith('alerts.rules[0]'))) return { pass: false, detail: 'cpu rule flagged' };
+    const bad = await post(`${inst.base}/api/config/import`, { config: {} }, admin);
+    if (bad.status !== 400) return { pass: false, detail: `non-bundle → ${bad.status}` };
+
+    // Saving the imported users (hash, no password) keeps their login
+    const users = config.auth.users.map((u) => ({ username: 'imported', role: u.role, passwordHash: u.passwordHash }));
+    const save = await post(`${inst.base}/api/setup`, { ...config, weatherLocation: '', auth: { ...config.auth, users } }, admin);
+    if (!save.json?.ok) return { pass: false, detail: `save: ${save.body}` };
+    const me = await get(`${inst.base}/api/me`, basic('imported', 'pw-admin'));
+    if (me.json?.username !== 'imported') return { pass: false, detail: `imported login → ${me.status}` };
+    return { pass: true, detail: review.map((i) => i.kind).join(', ') };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(116, 'Metrics include per-core CPU, state split, load average, swap and pressure', async () => {
+  const r = await get('/api/metrics');
+  const cpu = r.json?.system?.cpu;
+  const ram = r.json?.system?.ram;
+  if (!Array.isArray(cpu?.cores) || cpu.cores.length === 0) return { pass: false, detail: `cores: ${JSON.stringify(cpu?.cores)}` };
+  if (cpu.cores.some((c) => typeof c !== 'number' || c < 0 || c > 100)) return { pass: false, detail: `cores: ${cpu.cores}` };
+  for (const k of ['user', 'system', 'iowait', 'steal']) {
+    if (typeof cpu[k] !== 'number') return { pass: false, detail: `cpu.${k} is ${typeof cpu[k]}` };
+  }
+  if (!Array.isArray(cpu.load) || cpu.load.length !== 3) return { pass: false, detail: `load: ${JSON.stringify(cpu.load)}` };
+  if (typeof ram?.swap?.totalBytes !== 'number' || typeof ram.swap.percent !== 'number') return { pass: false, detail: `swap: ${JSON.stringify(ram?.swap)}` };
+  if (!('pressure' in r.json.system)) return { pass: false, detail: 'no pressure key' };
+  return { pass: true, detail: `${cpu.cores.length} cores, load ${cpu.load.join('/')}, pressure ${r.json.system.pressure ? 'yes' : 'n/a'}` };
+});
+
+test(117, 'History records the CPU breakdown and serves it per metric and per core', async () => {
+  const lines = fs.readFileSync(path.join(DATA_DIR, 'history.jsonl'), 'utf8').trim().split('\n');
+  const last = JSON.parse(lines[lines.length - 1]);
+  for (const k of ['cpuUser', 'cpuSteal', 'load1', 'swap']) {
+    if (typeof last[k] !== 'number') return { pass: false, detail: `sample.${k} is ${typeof last[k]}` };
+  }
+  if (!Array.isArray(last.cores)) return { pass: false, detail: 'sample has no cores' };
+  for (const metric of ['cpuSteal', 'load1', 'swap', 'core0']) {
+    const h = await get(`/api/history?metric=${metric}&hours=24`);
+    if (h.status !== 200 || !Array.isArray(h.json) || h.json.length === 0) return { pass: false, detail: `${metric} → ${h.status} ${h.body.slice(0, 80)}` };
+  }
+  const bad = await get('/api/history?metric=coreX');
+  if (bad.status !== 400) return { pass: false, detail: `coreX → ${bad.status}` };
+  return { pass: true, detail: `${last.cores.length} cores sampled` };
+});
+
+test(118, 'Metrics list each watched mount with bytes, inodes and I/O rates', async () => {
+  const r = await get('/api/metrics');
+  const disks = r.json?.system?.disks;
+  if (!Array.isArray(disks)) return { pass: false, detail: 'no system.disks' };
+  const root = disks.find((d) => d.mount === '/');
+  if (!root) return { pass: false, detail: `mounts: ${disks.map((d) => d.mount).join(', ')}` };
+  for (const k of ['usedBytes', 'totalBytes', 'freeBytes', 'percent']) {
+    if (typeof root[k] !== 'number') return { pass: false, detail: `/.${k} is ${typeof root[k]}` };
+  }
+  if (root.percent !== r.json.system.disk.percent) return { pass: false, detail: 'system.disk is not the root mount' };
+  if (root.inodes && typeof root.inodes.percent !== 'number') return { pass: false, detail: `inodes: ${JSON.stringify(root.inodes)}` };
+  if (root.io && ['read', 'write', 'readOps', 'writeOps'].some((k) => typeof root.io[k] !== 'number')) return { pass: false, detail: `io: ${JSON.stringify(root.io)}` };
+  const detect = await get('/api/detect/mounts');
+  if (!detect.json?.mounts?.includes('/')) return { pass: false, detail: `detect: ${detect.body}` };
+  const h = await get('/api/history?metric=diskInodes&mount=/&hours=24');
+  if (h.status !== 200 || !Array.isArray(h.json)) return { pass: false, detail: `history → ${h.status}` };
+  return { pass: true, detail: disks.map((d) => `${d.mount} ${d.percent}%`).join(', ') };
+});
+
+test(119, 'Disk rules can target a mount, and the schema checks it against diskMounts', async () => {
+  const r = await post('/api/setup', {
+    port: 6682,
+    weatherLocation: '',
+    diskMounts: ['/', 'data'],
+    alerts: { rules: [{ metric: 'disk', threshold: 90, mount: '/srv/nope' }, { metric: 'cpu', threshold: 90, mount: '/' }] }
+  });
+  if (r.status !== 400) return { pass: false, detail: `status ${r.status}` };
+  const paths = (r.json?.errors || []).map((e) => e.path);
+  for (const p of ['diskMounts', 'alerts.rules[0].mount', 'alerts.rules[1].mount']) {
+    if (!paths.includes(p)) return { pass: false, detail: `missing ${p} in ${paths.join(', ')}` };
+  }
+  return { pass: true, detail: `${paths.length} field errors` };
+});
+
+test(120, 'Network tracks several interfaces by exact name with counters and transfer totals', async () => {
+  const inst = await spawnInstance({ networkIface: 'lo', networkIfaces: ['nosuch0'] }, 6685);
+  try {
+    const r = await get(`${inst.base}/api/metrics`);
+    const net = r.json?.system?.network;
+    if (net?.iface !== 'lo') return { pass: false, detail: `iface ${net?.iface}` };
+    const lo = net.ifaces?.find((i) => i.name === 'lo');
+    if (!lo) return { pass: false, detail: `ifaces: ${JSON.stringify(net.ifaces)}` };
+    for (const k of ['up', 'down', 'rxPackets', 'txPackets', 'rxErrors', 'txErrors', 'rxDrops', 'txDrops']) {
+      if (typeof lo[k] !== 'number') return { pass: false, detail: `lo.${k} is ${typeof lo[k]}` };
+    }
+    if (typeof lo.today?.rx !== 'number' || typeof lo.month?.tx !== 'number') return { pass: false, detail: 'no totals' };
+    if (!net.ifaces.find((i) => i.name === 'nosuch0')?.missing) return { pass: false, detail: 'missing interface not flagged' };
+    const totals = await get(`${inst.base}/api/network/totals`);
+    if (!totals.json?.ifaces?.lo || totals.json.monthStart !== 1) return { pass: false, detail: `totals: ${totals.body.slice(0, 120)}` };
+    const h = await get(`${inst.base}/api/history?metric=netUp&iface=lo&hours=24`);
+    if (h.status !== 200 || !Array.isArray(h.json)) return { pass: false, detail: `history → ${h.status}` };
+    return { pass: true, detail: `${net.ifaces.length} interfaces` };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(121, 'Traffic quota rules are validated against the tracked interfaces', async () => {
+  const r = await post('/api/setup', {
+    port: 6682,
+    weatherLocation: '',
+    networkIface: 'eth0',
+    networkIfaces: ['wg0'],
+    networkMonthStart: 31,
+    alerts: {
+      rules: [
+        { metric: 'net_quota', threshold: 500, iface: 'tun9' },
+        { metric: 'cpu', threshold: 90, period: 'day' },
+        { metric: 'net_quota', threshold: 100, period: 'week', iface: 'wg0' }
+      ]
+    }
+  });
+  if (r.status !== 400) return { pass: false, detail: `status ${r.status}` };
+  const paths = (r.json?.errors || []).map((e) => e.path);
+  for (const p of ['networkMonthStart', 'alerts.rules[0].iface', 'alerts.rules[1].period', 'alerts.rules[2].period']) {
+    if (!paths.includes(p)) return { pass: false, detail: `missing ${p} in ${paths.join(', ')}` };
+  }
+  if (paths.includes('alerts.rules[2].iface')) return { pass: false, detail: 'tracked interface rejected' };
+  return { pass: true, detail: `${paths.length} field errors` };
+});
+
+test(122, 'Sensors: every chip from sensors -j, CPU temperature from k10temp, Prometheus families', async () => {
+  const fixture = path.join(os.tmpdir(), `pulse-sensors-${process.pid}.json`);
+  await fs.promises.writeFile(fixture, JSON.stringify({
+    'k10temp-pci-00c3': { Adapter: 'PCI adapter', Tctl: { temp1_input: 61.25 }, Tccd1: { temp3_input: 55.5 } },
+    'nvme-pci-0100': { Adapter: 'PCI adapter', Composite: { temp1_input: 38.85, temp1_max: 81.85, temp1_crit: 84.85 } },
+    'nct6798-isa-0290': { Adapter: 'ISA adapter', in0: { in0_input: 1.104, in0_min: 0 }, fan2: { fan2_input: 1250 }, intrusion0: { intrusion0_alarm: 0 } }
+  }));
+  const inst = await spawnInstance({ prometheus: { enabled: true } }, 6686, { PULSE_SENSORS_JSON: fixture });
+  try {
+    const r = await get(`${inst.base}/api/metrics`);
+    const sensors = r.json?.system?.sensors || [];
+    const byId = Object.fromEntries(sensors.map((x) => [x.id, x]));
+    if (sensors.length !== 5) return { pass: false, detail: `sensors: ${sensors.map((x) => x.id).join(', ')}` };
+    if (byId['nvme-pci-0100/Composite']?.crit !== 84.9) return { pass: false, detail: `nvme: ${JSON.stringify(byId['nvme-pci-0100/Composite'])}` };
+    if (byId['nct6798-isa-0290/fan2']?.kind !== 'fan' || byId['nct6798-isa-0290/in0']?.unit !== 'V') return { pass: false, detail: 'fan/voltage kinds' };
+    const cpu = r.json.system.cpu;
+    if (cpu.temp !== 61 || cpu.tempSensor !== 'k10temp-pci-00c3/Tctl') return { pass: false, detail: `cpu temp ${cpu.temp} from ${cpu.tempSensor}` };
+    const m = await get(`${inst.base}/metrics`);
+    for (const line of ['pulse_sensor_temperature_celsius{chip="nvme-pci-0100",sensor="Composite"} 38.9', 'pulse_sensor_fan_rpm{chip="nct6798-isa-0290",sensor="fan2"} 1250']) {
+      if (!m.body.includes(line)) return { pass: false, detail: `missing ${line}` };
+    }
+    return { pass: true, detail: `${sensors.length} readings` };
+  } finally {
+    await inst.stop();
+    await fs.promises.unlink(fixture).catch(() => {});
+  }
+});
+
+test(123, 'Sensors fall back to hwmon and thermal zones when sensors is missing', async () => {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pulse-sysfs-'));
+  const empty = path.join(root, 'sensors.json');
+  const files = {
+    'class/hwmon/hwmon0/name': 'nct6775', 'class/hwmon/hwmon0/fan1_input': '1200', 'class/hwmon/hwmon0/in0_input': '1104',
+    'class/hwmon/hwmon0/in0_label': 'Vcore', 'class/thermal/thermal_zone0/type': 'cpu-thermal', 'class/thermal/thermal_zone0/temp': '48500'
+  };
+  await fs.promises.writeFile(empty, '');
+  for (const [file, content] of Object.entries(files)) {
+    await fs.promises.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await fs.promises.writeFile(path.join(root, file), content + '\n');
+  }
+  const inst = await spawnInstance({}, 6687, { PULSE_SENSORS_JSON: empty, PULSE_SYSFS_ROOT: root });
+  try {
+    const r = await get(`${inst.base}/api/metrics`);
+    const ids = (r.json?.system?.sensors || []).map((x) => `${x.id}=${x.value}`);
+    for (const want of ['nct6775/fan1=1200', 'nct6775/Vcore=1.104', 'thermal/cpu-thermal=48.5']) {
+      if (!ids.includes(want)) return { pass: false, detail: `missing ${want} in ${ids.join(', ')}` };
+    }
+    if (r.json.system.cpu.temp !== 49) return { pass: false, detail: `cpu temp ${r.json.system.cpu.temp}` };
+    const detect = await get(`${inst.base}/api/detect/sensors`);
+    if (detect.json?.cpu !== 'thermal/cpu-thermal') return { pass: false, detail: `detect: ${detect.body.slice(0, 120)}` };
+    const bad = await get(`${inst.base}/api/history?metric=sensor&hours=24`);
+    const ok = await get(`${inst.base}/api/history?metric=sensor&sensor=${encodeURIComponent('nct6775/fan1')}&hours=24`);
+    if (bad.status !== 400 || ok.status !== 200) return { pass: false, detail: `history → ${bad.status} / ${ok.status}` };
+    return { pass: true, detail: ids.join(', ') };
+  } finally {
+    await inst.stop();
+    await fs.promises.rm(root, { recursive: true, force: true });
+  }
+});
+
+test(124, 'Temperature rules take a threshold in °C and an optional sensor', async () => {
+  const r = await post('/api/setup', {
+    port: 6682,
+    weatherLocation: '',
+    alerts: {
+      rules: [
+        { metric: 'temp', sensor: 'nvme-pci-0100/Composite' },
+        { metric: 'cpu', threshold: 90, sensor: 'k10temp-pci-00c3/Tctl' },
+        { metric: 'temp', threshold: 105, duration: 60 },
+        { metric: 'temp', threshold: 80, sensor: '' }
+      ]
+    }
+  });
+  if (r.status !== 400) return { pass: false, detail: `status ${r.status}` };
+  const paths = (r.json?.errors || []).map((e) => e.path);
+  for (const p of ['alerts.rules[0].threshold', 'alerts.rules[1].sensor', 'alerts.rules[3].sensor']) {
+    if (!paths.includes(p)) return { pass: false, detail: `missing ${p} in ${paths.join(', ')}` };
+  }
+  if (paths.some((p) => p.startsWith('alerts.rules[2]'))) return { pass: false, detail: 'threshold above 100 °C rejected' };
+  return { pass: true, detail: `${paths.length} field errors` };
+});
+
+test(125, 'GET /api/processes lists the top processes by memory with CPU% over the window', async () => {
+  const r = await get('/api/processes?sort=mem&limit=5&window=200');
+  if (r.status !== 200) return { pass: false, detail: `status ${r.status}` };
+  const list = r.json?.processes || [];
+  if (!list.length || list.length > 5 || r.json.total < list.length) return { pass: false, detail: `${list.length} of ${r.json?.total}` };
+  for (const p of list) {
+    for (const k of ['pid', 'ppid', 'cpu', 'rss', 'nice', 'threads']) {
+      if (typeof p[k] !== 'number') return { pass: false, detail: `${k} is ${typeof p[k]} for ${p.pid}` };
+    }
+    if (!p.command || !p.user || !p.state) return { pass: false, detail: `pid ${p.pid}: ${JSON.stringify(p)}` };
+  }
+  if (list.some((p, i) => i && p.rss > list[i - 1].rss)) return { pass: false, detail: 'not sorted by memory' };
+  if (r.json.actions !== false || r.json.windowMs !== 200) return { pass: false, detail: `actions ${r.json.actions}, window ${r.json.windowMs}` };
+  return { pass: true, detail: `top: ${list[0].name} ${list[0].rss} B` };
+});
+
+test(126, 'Process actions: off by default, renice and TERM a process once enabled', async () => {
+  const off = await post('/api/action/kill-process', { pid: 999999, signal: 'TERM' });
+  if (off.status !== 403) return { pass: false, detail: `disabled → ${off.status}` };
+  const child = spawn('sleep', ['30'], { stdio: 'ignore' });
+  const exited = new Promise((r) => child.once('exit', (code, signal) => r(signal)));
+  const inst = await spawnInstance({ processActions: true }, 6688);
+  try {
+    const bad = await post(`${inst.base}/api/action/kill-process`, { pid: child.pid, signal: 'HUP' });
+    const self = await post(`${inst.base}/api/action/kill-process`, { pid: 1, signal: 'KILL' });
+    if (bad.status !== 400 || self.status !== 400) return { pass: false, detail: `HUP → ${bad.status}, pid 1 → ${self.status}` };
+    const nice = await post(`${inst.base}/api/action/renice-process`, { pid: child.pid, nice: 7 });
+    if (!nice.json?.ok || nice.json.nice !== 7) return { pass: false, detail: `renice: ${nice.body}` };
+    const term = await post(`${inst.base}/api/action/kill-process`, { pid: child.pid, signal: 'TERM' });
+    if (!term.json?.ok) return { pass: false, detail: `TERM: ${term.body}` };
+    const signal = await Promise.race([exited, new Promise((r) => setTimeout(() => r('timeout'), 3000))]);
+    if (signal !== 'SIGTERM') return { pass: false, detail: `child ended with ${signal}` };
+    const gone = await post(`${inst.base}/api/action/kill-process`, { pid: child.pid, signal: 'KILL' });
+    if (gone.status !== 404) return { pass: false, detail: `signal after exit → ${gone.status}` };
+    return { pass: true, detail: `TERM → ${term.json.status}` };
+  } finally {
+    child.kill('SIGKILL');
+    await inst.stop();
+  }
+});
+
+test(127, 'Containers carry stats, health, restart count and image; Prometheus exports them', async () => {
+  const docker = await fakeDockerCli();
+  const inst = await spawnInstance({ dockerContainers: 'auto', prometheus: { enabled: true } }, 6689, docker.env);
+  try {
+    const r = await get(`${inst.base}/api/metrics`);
+    const list = r.json?.services?.docker || [];
+    const by = Object.fromEntries(list.map((c) => [c.name, c]));
+    if (by.web?.health !== 'healthy' || by.web.image !== 'nginx:1.25' || by.web.uptime !== '2 hours') return { pass: false, detail: `web: ${JSON.stringify(by.web)}` };
+    if (by.web.stats?.memUsed !== 13107200 || by.web.stats.netTx !== 3400000 || by.web.stats.blockWrite !== 8190) return { pass: false, detail: `web stats: ${JSON.stringify(by.web.stats)}` };
+    if (by.api?.health !== 'unhealthy' || by.api.restarts !== 4 || by.api.stats?.cpu !== 250) return { pass: false, detail: `api: ${JSON.stringify(by.api)}` };
+    if (by.old?.running !== false || by.old.state !== 'exited' || by.old.exitCode !== 1 || by.old.stats !== null) return { pass: false, detail: `old: ${JSON.stringify(by.old)}` };
+    const m = await get(`${inst.base}/metrics`);
+    for (const line of ['pulse_container_restarts_total{container="api"} 4', 'pulse_container_healthy{container="api"} 0', 'pulse_container_memory_limit_bytes{container="api"} 536870912']) {
+      if (!m.body.includes(line)) return { pass: false, detail: `missing ${line}` };
+    }
+    const h = await get(`${inst.base}/api/history?metric=containerMem&hours=24`);
+    if (h.status !== 400) return { pass: false, detail: `containerMem without container → ${h.status}` };
+    return { pass: true, detail: list.map((c) => `${c.name}:${c.health || c.state}`).join(', ') };
+  } finally {
+    await inst.stop();
+    await docker.remove();
+  }
+});
+
+test(128, 'Container health and restart-loop rules need a container name; window only on restart loops', async () => {
+  const r = await post('/api/setup', {
+    port: 6682,
+    weatherLocation: '',
+    alerts: {
+      rules: [
+        { metric: 'container_unhealthy' },
+        { metric: 'container_restart_loop', name: 'api', threshold: 5, window: 90 },
+        { metric: 'cpu', threshold: 90, window: 5 },
+        { metric: 'container_restart_loop', name: 'api' }
+      ]
+    }
+  });
+  if (r.status !== 400) return { pass: false, detail: `status ${r.status}` };
+  const paths = (r.json?.errors || []).map((e) => e.path);
+  for (const p of ['alerts.rules[0].name', 'alerts.rules[1].window', 'alerts.rules[2].window']) {
+    if (!paths.includes(p)) return { pass: false, detail: `missing ${p} in ${paths.join(', ')}` };
+  }
+  if (paths.some((p) => p.startsWith('alerts.rules[3]'))) return { pass: false, detail: 'defaults rejected' };
+  return { pass: true, detail: `${paths.length} field errors` };
+});
+
+test(129, 'Docker Engine API socket: containers, stats, restart and demultiplexed logs without the CLI', async () => {
+  const daemon = await fakeDockerDaemon();
+  const inst = await spawnInstance({ dockerContainers: 'auto' }, 6690, daemon.env);
+  try {
+    const r = await get(`${inst.base}/api/metrics`);
+    const web = (r.json?.services?.docker || []).find((c) => c.name === 'web');
+    if (!web?.running || web.uptime !== '3 hours' || web.image !== 'nginx:1.25' || web.restarts !== 2 || web.health !== 'healthy') {
+      return { pass: false, detail: `web: ${JSON.stringify(web)}` };
+    }
+    const st = web.stats || {};
+    if (st.cpu !== 40 || st.memUsed !== 100 || st.memPercent !== 10 || st.netRx !== 15 || st.netTx !== 25 || st.blockRead !== 8 || st.blockWrite !== 9) {
+      return { pass: false, detail: `stats: ${JSON.stringify(st)}` };
+    }
+    const restart = await post(`${inst.base}/api/action/restart-docker`, { name: 'web' });
+    if (!restart.json?.ok || restart.json.status !== 'running') return { pass: false, detail: `restart: ${restart.body}` };
+    if (!daemon.calls.includes('POST /containers/web/restart')) return { pass: false, detail: `calls: ${daemon.calls.join(', ')}` };
+    const unknown = await post(`${inst.base}/api/action/restart-docker`, { name: 'db' });
+    if (unknown.status !== 400) return { pass: false, detail: `unknown container → ${unknown.status}` };
+    const logs = await getSSE(`${inst.base}/api/logs/docker/web`, 5000);
+    if (!logs.body.startsWith('event: log\ndata: hello from web\n')) return { pass: false, detail: `logs: ${JSON.stringify(logs.body)}` };
+    return { pass: true, detail: `${daemon.calls.length} API calls` };
+  } finally {
+    await inst.stop();
+    await daemon.close();
+  }
+});
+
+test(130, 'Container start/stop/pause/unpause and pull-and-recreate with streamed progress', async () => {
+  const daemon = await fakeDockerDaemon();
+  const inst = await spawnInstance({ dockerContainers: ['web'] }, 6691, daemon.env);
+  try {
+    const seen = [];
+    for (const action of ['stop', 'start', 'pause', 'unpause']) {
+      const r = await post(`${inst.base}/api/action/${action}-docker`, { name: 'web' });
+      if (!r.json?.ok) return { pass: false, detail: `${action}: ${r.body}` };
+      seen.push(r.json.status);
+    }
+    if (seen.join() !== 'exited,running,paused,running') return { pass: false, detail: `states ${seen.join()}` };
+    const unknown = await post(`${inst.base}/api/action/stop-docker`, { name: 'other' });
+    if (unknown.status !== 400) return { pass: false, detail: `unlisted container → ${unknown.status}` };
+
+    const r = await post(`${inst.base}/api/action/recreate-docker`, { name: 'web' }, { Accept: 'text/event-stream' });
+    if (!r.body.includes('event: progress') || !r.body.includes('"percent":50')) return { pass: false, detail: `progress: ${r.body.slice(0, 300)}` };
+    const done = /event: done\ndata: (.*)\n/.exec(r.body);
+    const result = done && JSON.parse(done[1]);
+    if (!result?.ok || !result.recreated || result.status !== 'running' || result.imageId !== 'sha256:new') return { pass: false, detail: `done: ${r.body.slice(-300)}` };
+    const spec = daemon.web.created || {};
+    if (spec.Image !== 'nginx:1.25' || spec.Env.join() !== 'MODE=prod' || spec.Cmd || spec.Hostname) return { pass: false, detail: `config: ${JSON.stringify(spec)}` };
+    if (!spec.HostConfig?.Binds.includes('webdata:/data') || spec.HostConfig.RestartPolicy?.Name !== 'unless-stopped') return { pass: false, detail: `host config: ${JSON.stringify(spec.HostConfig)}` };
+    if (JSON.stringify(spec.NetworkingConfig?.EndpointsConfig?.frontend?.Aliases) !== '["web"]') return { pass: false, detail: `networks: ${JSON.stringify(spec.NetworkingConfig)}` };
+    if (!daemon.calls.includes('POST /networks/backend/connect') || !daemon.calls.some((c) => /^DELETE \/containers\/web-pulse-old-/.test(c))) {
+      return { pass: false, detail: `calls: ${daemon.calls.slice(-8).join(', ')}` };
+    }
+    const again = await post(`${inst.base}/api/action/recreate-docker`, { name: 'web' });
+    if (!again.json?.ok || again.json.recreated !== false) return { pass: false, detail: `second recreate: ${again.body}` };
+    return { pass: true, detail: `${seen.join(' → ')}, recreated on sha256:new` };
+  } finally {
+    await inst.stop();
+    await daemon.close();
+  }
+});
+
+test(131, 'Compose projects: project: selection, stack summary, restart all and compose up -d with progress', async () => {
+  const daemon = await fakeDockerDaemon();
+  const docker = await fakeDockerCli();
+  const inst = await spawnInstance({ dockerContainers: ['web', 'project:media'] }, 6692, { ...daemon.env, PATH: docker.env.PATH });
+  try {
+    const m = await get(`${inst.base}/api/metrics`);
+    const names = (m.json?.services?.docker || []).map((c) => `${c.name}:${c.project || '-'}/${c.service || '-'}`);
+    if (names.join() !== 'web:-/-,media-app-1:media/app,media-db-1:media/db') return { pass: false, detail: `containers ${names.join()}` };
+    const stack = JSON.stringify(m.json.services.dockerStacks);
+    if (stack !== '[{"name":"media","total":2,"running":1,"unhealthy":0,"actions":true}]') return { pass: false, detail: `stacks ${stack}` };
+
+    const one = await post(`${inst.base}/api/action/stop-docker`, { name: 'nope' });
+    const member = await get(`${inst.base}/api/logs/docker/media-db-1`);
+    if (one.status !== 400 || member.status !== 200) return { pass: false, detail: `unlisted → ${one.status}, project member logs → ${member.status}` };
+    const bad = await post(`${inst.base}/api/action/docker-stack`, { project: 'media', action: 'down' });
+    const other = await post(`${inst.base}/api/action/docker-stack`, { project: 'other', action: 'restart' });
+    if (bad.status !== 400 || other.status !== 400) return { pass: false, detail: `down → ${bad.status}, other → ${other.status}` };
+
+    const restart = await post(`${inst.base}/api/action/docker-stack`, { project: 'media', action: 'restart' });
+    if (!restart.json?.ok || restart.json.running !== 2 || restart.json.total !== 2) return { pass: false, detail: `restart: ${restart.body}` };
+    if (!['POST /containers/media-app-1/restart', 'POST /containers/media-db-1/restart'].every((c) => daemon.calls.includes(c))) return { pass: false, detail: 'members not restarted' };
+
+    const up = await post(`${inst.base}/api/action/docker-stack`, { project: 'media', action: 'up' }, { Accept: 'text/event-stream' });
+    if (!up.body.includes('compose -p media --project-directory /srv/media -f /srv/media/compose.yml up -d')) return { pass: false, detail: `up: ${up.body.slice(0, 300)}` };
+    if (!up.body.includes('Container media-db-1  Started') || !/event: done\ndata: .*"status":"2\/2 running"/.test(up.body)) return { pass: false, detail: `up: ${up.body.slice(-300)}` };
+    return { pass: true, detail: restart.json.status };
+  } finally {
+    await inst.stop();
+    await daemon.close();
+    await docker.remove();
+  }
+});
+
+test(132, 'dockerContainers entries must be container names or project:<name>', async () => {
+  const r = await post('/api/setup', { port: 6682, weatherLocation: '', dockerContainers: ['web', 'project:media', 'project:bad name'] });
+  if (r.status !== 400) return { pass: false, detail: `status ${r.status}` };
+  const paths = (r.json?.errors || []).map((e) => e.path);
+  if (!paths.some((p) => p.startsWith('dockerContainers'))) return { pass: false, detail: `errors at ${paths.join(', ')}` };
+  return { pass: true, detail: r.json.errors[0].message };
+});
+
+test(133, 'systemd units: scope per unit, details from systemctl show, actions in the right scope, failed units', async () => {
+  const systemctl = await fakeSystemctl();
+  const inst = await spawnInstance({ systemdServices: ['nginx.service', 'sync.service', 'ghost.service'], prometheus: { enabled: true } }, 6693, systemctl.env);
+  try {
+    const m = await get(`${inst.base}/api/metrics`);
+    const by = Object.fromEntries((m.json?.services?.systemd || []).map((s) => [s.name, s]));
+    const nginx = by['nginx.service'];
+    if (nginx?.scope !== 'system' || !nginx.active || nginx.subState !== 'running' || nginx.pid !== 1234 || nginx.memory !== 52428800 || nginx.restarts !== 2 || nginx.enabled !== 'enabled') {
+      return { pass: false, detail: `nginx: ${JSON.stringify(nginx)}` };
+    }
+    const sync = by['sync.service'];
+    if (sync?.scope !== 'user' || sync.state !== 'failed' || sync.exitCode !== 1 || sync.memory !== null) return { pass: false, detail: `sync: ${JSON.stringify(sync)}` };
+    if (by['ghost.service']?.scope !== null || by['ghost.service'].state !== 'not-found') return { pass: false, detail: `ghost: ${JSON.stringify(by['ghost.service'])}` };
+    const failed = (m.json.services.failedUnits || []).map((u) => `${u.scope}:${u.name}:${u.description}`).join();
+    if (failed !== 'system:backup.service:Nightly backup to S3,user:sync.service:Sync photos') return { pass: false, detail: `failed units ${failed}` };
+
+    const stop = await post(`${inst.base}/api/action/stop-service`, { name: 'nginx.service' });
+    if (!stop.json?.ok || stop.json.scope !== 'system' || stop.json.status !== 'inactive') return { pass: false, detail: `stop: ${stop.body}` };
+    const enable = await post(`${inst.base}/api/action/enable-service`, { name: 'sync.service' });
+    if (!enable.json?.ok || enable.json.scope !== 'user' || enable.json.enabled !== 'enabled') return { pass: false, detail: `enable: ${enable.body}` };
+    const ghost = await post(`${inst.base}/api/action/restart-service`, { name: 'ghost.service' });
+    if (ghost.status !== 404) return { pass: false, detail: `missing unit → ${ghost.status}` };
+    const denied = await post(`${inst.base}/api/action/disable-service`, { name: 'nginx.service' });
+    if (denied.status !== 403 || denied.json?.ok !== false || denied.json.error !== 'Failed to disable unit: Access denied') return { pass: false, detail: `refused disable → ${denied.status} ${denied.body}` };
+    const log = (await systemctl.actions()).trim().split('\n');
+    if (log.join() !== 'system stop nginx.service,user enable sync.service') return { pass: false, detail: `systemctl calls: ${log.join(', ')}` };
+
+    const prom = await get(`${inst.base}/metrics`);
+    for (const line of ['pulse_service_restarts_total{service="nginx.service",scope="system"} 2', 'pulse_systemd_failed_units{scope="user"} 1']) {
+      if (!prom.body.includes(line)) return { pass: false, detail: `missing ${line}` };
+    }
+    return { pass: true, detail: `${failed.split(',').length} failed units` };
+  } finally {
+    await inst.stop();
+    await systemctl.remove();
+  }
+});
+
+test(134, 'Uptime probes: HTTP status/body and TCP checks, latency history, Prometheus series and rule validation', async () => {
+  const site = await listen(http.createServer((req, res) => {
+    if (req.url === '/broken') { res.writeHead(503); return res.end('maintenance'); }
+    setTimeout(() => res.end(req.url === '/health' ? 'status: healthy' : 'hello'), req.url === '/slow' ? 300 : 0);
+  }));
+  const closed = await listen(net.createServer());
+  await new Promise((r) => closed.server.close(r));
+  const id = process.pid;
+  const url = (p) => `http://127.0.0.1:${site.port}${p}`;
+  const probes = [
+    { name: `site-${id}`, type: 'http', url: url('/health'), expectBody: 'healthy', interval: 5 },
+    { name: `slow-${id}`, type: 'http', url: url('/slow'), interval: 5 },
+    { name: `broken-${id}`, type: 'http', url: url('/broken'), interval: 5 },
+    { name: `body-${id}`, type: 'http', url: url('/'), expectBody: 'healthy', interval: 5 },
+    { name: `port-${id}`, type: 'tcp', host: '127.0.0.1', port: site.port, interval: 5 },
+    { name: `closed-${id}`, type: 'tcp', host: '127.0.0.1', port: closed.port, timeout: 2, interval: 5 }
+  ];
+  const rules = [{ metric: 'probe_slow', name: `slow-${id}`, threshold: 200, duration: 60 }, { metric: 'probe_down', name: `broken-${id}` }];
+  const inst = await spawnInstance({ probes, metricsInterval: 1, prometheus: { enabled: true }, alerts: { rules } }, 6694);
+  try {
+    let by = {};
+    for (let i = 0; i < 20; i++) {
+      const m = await get(`${inst.base}/api/metrics`);
+      by = Object.fromEntries((m.json?.probes || []).map((p) => [p.name.replace(`-${id}`, ''), p]));
+      if (Object.keys(by).length === probes.length && Object.values(by).every((p) => p.up != null)) break;
+      await new Promise((r) => setTimeout(r, 250));
+    }
+    const summary = Object.entries(by).map(([n, p]) => `${n}:${p.up}`).join(' ');
+    if (!by.site?.up || by.site.status !== 200 || by.site.uptime !== 100 || by.site.recent.length !== 1) return { pass: false, detail: `site: ${JSON.stringify(by.site)}` };
+    if (!by.slow?.up || by.slow.ms < 300) return { pass: false, detail: `slow: ${JSON.stringify(by.slow)}` };
+    if (by.broken?.up !== false || by.broken.status !== 503 || by.broken.error !== 'HTTP 503' || by.broken.recent[0] !== null) return { pass: false, detail: `broken: ${JSON.stringify(by.broken)}` };
+    if (by.body?.up !== false || !/does not contain "healthy"/.test(by.body.error)) return { pass: false, detail: `body: ${JSON.stringify(by.body)}` };
+    if (!by.port?.up || by.port.target !== `127.0.0.1:${site.port}`) return { pass: false, detail: `port: ${JSON.stringify(by.port)}` };
+    if (by.closed?.up !== false || !/ECONNREFUSED/.test(by.closed.error)) return { pass: false, detail: `closed: ${JSON.stringify(by.closed)}` };
+
+    const latency = await get(`${inst.base}/api/history?metric=probeLatency&hours=1&probe=slow-${id}`);
+    if (latency.json?.length !== 1 || latency.json[0].value < 300) return { pass: false, detail: `latency history ${latency.body}` };
+    const uptime = await get(`${inst.base}/api/history?metric=probeUptime&hours=1&probe=broken-${id}`);
+    if (uptime.json?.[0]?.value !== 0) return { pass: false, detail: `uptime history ${uptime.body}` };
+    if ((await get(`${inst.base}/api/history?metric=probeLatency`)).status !== 400) return { pass: false, detail: 'probeLatency without &probe= accepted' };
+    const prom = await get(`${inst.base}/metrics`);
+    for (const line of [`pulse_probe_up{probe="broken-${id}",type="http"} 0`, `pulse_probe_up{probe="port-${id}",type="tcp"} 1`]) {
+      if (!prom.body.includes(line)) return { pass: false, detail: `missing ${line}` };
+    }
+
+    const bad = await post('/api/setup', {
+      port: 6682, weatherLocation: '',
+      probes: [{ name: 'db', type: 'tcp', host: 'db.internal' }, { name: 'gw', type: 'ping', host: '10.0.0.1', expectStatus: 200 }],
+      alerts: { rules: [{ metric: 'probe_slow', name: 'db' }, { metric: 'probe_down', name: 'nope' }] }
+    });
+    const paths = (bad.json?.errors || []).map((e) => e.path).sort().join();
+    if (paths !== 'alerts.rules[0].threshold,alerts.rules[1].name,probes[0].port,probes[1].expectStatus') return { pass: false, detail: `errors at ${paths}` };
+    return { pass: true, detail: summary };
+  } finally {
+    await inst.stop();
+    site.server.closeAllConnections();
+    site.server.close();
+    await removeProbeHistory();
+  }
+});
+
+test(135, 'Certificates: TLS endpoints and letsencrypt-style PEM directories with days to expiry, cert_expiry validation', async () => {
+  const certs = await fakeLetsEncrypt();
+  const far = path.join(certs.live, 'far.test');
+  const endpoint = await listen(tls.createServer({
+    key: await fs.promises.readFile(path.join(far, 'privkey.pem')),
+    cert: await fs.promises.readFile(path.join(far, 'fullchain.pem'))
+  }, (socket) => socket.end()));
+  const certificates = [
+    { name: 'live', path: certs.live },
+    { name: 'api', host: '127.0.0.1', port: endpoint.port, servername: 'far.test' },
+    { name: 'gone', path: '/nonexistent/cert.pem' }
+  ];
+  const inst = await spawnInstance({ certificates, metricsInterval: 1, prometheus: { enabled: true }, alerts: { rules: [{ metric: 'cert_expiry', threshold: 14 }] } }, 6695);
+  try {
+    let list = [];
+    for (let i = 0; i < 20; i++) {
+      list = (await get(`${inst.base}/api/metrics`)).json?.certificates || [];
+      if (list.length === 4) break;
+      await new Promise((r) => setTimeout(r, 250));
+    }
+    const order = list.map((c) => `${c.name}:${c.subject || c.error}:${c.daysLeft ?? '-'}`).join();
+    if (order !== 'live:soon.test:4,live:far.test:89,api:far.test:89,gone:Not found:-') return { pass: false, detail: `certificates ${order}` };
+    const [soon, , api] = list;
+    if (soon.issuer !== 'Test CA (Pulse Test)' || soon.sans.join() !== 'soon.test,www.soon.test' || soon.source !== path.join(certs.live, 'soon.test', 'cert.pem')) {
+      return { pass: false, detail: `soon.test: ${JSON.stringify(soon)}` };
+    }
+    if (api.source !== `127.0.0.1:${endpoint.port}` || !api.verifyError || !/^20\d\d-/.test(api.validTo)) return { pass: false, detail: `endpoint: ${JSON.stringify(api)}` };
+    const prom = await get(`${inst.base}/metrics`);
+    const line = prom.body.split('\n').find((l) => l.startsWith('pulse_certificate_expiry_timestamp_seconds{certificate="live"') && l.includes('subject="soon.test"'));
+    if (!line || Math.abs(Number(line.split(' ').pop()) - Date.parse(soon.validTo) / 1000) > 1) return { pass: false, detail: `prometheus: ${line}` };
+    // soon.test is inside the 14 days and "gone" can't be read: both are named in the alert
+    let alert = null;
+    for (let i = 0; i < 20 && !alert; i++) {
+      alert = ((await get(`${inst.base}/api/alerts/status`)).json?.active || []).find((e) => e.metric === 'cert_expiry');
+      if (!alert) await new Promise((r) => setTimeout(r, 250));
+    }
+    if (!alert?.message.includes('(soon.test: 4 days, /nonexistent/cert.pem: Not found)')) return { pass: false, detail: `alert ${JSON.stringify(alert)}` };
+
+    const bad = await post('/api/setup', {
+      port: 6682, weatherLocation: '',
+      certificates: [{ name: 'both', host: 'example.com', path: '/etc/ssl/x.pem' }, { name: 'file', path: '/etc/ssl/y.pem', port: 443 }],
+      alerts: { rules: [{ metric: 'cert_expiry' }, { metric: 'cert_expiry', threshold: 7, name: 'nope' }] }
+    });
+    const paths = (bad.json?.errors || []).map((e) => e.path).sort().join();
+    if (paths !== 'alerts.rules[0].threshold,alerts.rules[1].name,certificates[0].host,certificates[1].port') return { pass: false, detail: `errors at ${paths}` };
+    return { pass: true, detail: order };
+  } finally {
+    await inst.stop();
+    endpoint.server.close();
+    await certs.remove();
+  }
+});
+
+test(136, 'Log alerts: log_match follows the unit journal and fires with the matched lines attached', async () => {
+  const systemctl = await fakeSystemctl();
+  const hook = await webhookStandIn();
+  const rules = [
+    { metric: 'log_match', source: 'service', name: 'nginx.service', pattern: 'error|panic', ignoreCase: true, threshold: 3, window: 2 },
+    { metric: 'log_match', source: 'service', name: 'nginx.service', pattern: 'segfault' }
+  ];
+  const inst = await spawnInstance({
+    systemdServices: ['nginx.service'],
+    metricsInterval: 1,
+    alerts: { channels: [{ id: 'hook', type: 'webhook', url: `http://127.0.0.1:${hook.port}/hook` }], rules }
+  }, 6696, systemctl.env);
+  try {
+    let entry = null;
+    for (let i = 0; i < 40 && !entry; i++) {
+      await new Promise((r) => setTimeout(r, 250));
+      entry = ((await get(`${inst.base}/api/alerts/status`)).json?.active || []).find((e) => e.metric === 'log_match');
+    }
+    if (!entry) return { pass: false, detail: `no active log_match alert (journalctl ${JSON.stringify(await systemctl.journal())})` };
+    if (entry.ruleIndex !== 0) return { pass: false, detail: `fired rule ${entry.ruleIndex}` };
+    const expected = ['ERROR connect <db> refused', 'upstream error: timed out', 'Panic: worker exited'];
+    if (JSON.stringify(entry.lines?.map((l) => l.replace(/^.*\]: /, ''))) !== JSON.stringify(expected)) return { pass: false, detail: `lines ${JSON.stringify(entry.lines)}` };
+    if (!entry.message.includes('&lt;db&gt;') || !entry.message.includes('/error|panic/i 3+ times in 2 min')) return { pass: false, detail: `message ${entry.message}` };
+    const args = (await systemctl.journal()).split('\n')[0];
+    if (!/^-u nginx\.service -f --no-pager --since @\d+$/.test(args)) return { pass: false, detail: `journalctl ${args}` };
+    for (let i = 0; i < 20 && !hook.received.length; i++) await new Promise((r) => setTimeout(r, 100));
+    const sent = hook.received[0]?.json;
+    if (sent?.lines?.length !== 3 || !sent.text.includes('ERROR connect <db> refused')) return { pass: false, detail: `webhook ${JSON.stringify(sent)}` };
+
+    // A rule added by a config save is followed without a restart
+    const saved = await post(`${inst.base}/api/setup`, {
+      port: 6696, weatherLocation: '', metricsInterval: 1, systemdServices: ['nginx.service', 'sync.service'],
+      alerts: { rules: [rules[0], { metric: 'log_match', source: 'service', name: 'sync.service', pattern: 'panic', ignoreCase: true }] }
+    });
+    if (!saved.json?.ok) return { pass: false, detail: `save: ${saved.body}` };
+    let added = null;
+    for (let i = 0; i < 40 && !added; i++) {
+      await new Promise((r) => setTimeout(r, 250));
+      added = ((await get(`${inst.base}/api/alerts/status`)).json?.active || []).find((e) => e.ruleIndex === 1);
+    }
+    if (!added || JSON.stringify(added.lines?.map((l) => l.replace(/^.*\]: /, ''))) !== '["Panic: worker exited"]') {
+      return { pass: false, detail: `added rule: ${JSON.stringify(added)} (journalctl ${JSON.stringify(await systemctl.journal())})` };
+    }
+    if (!(await systemctl.journal()).includes('--user -u sync.service -f --no-pager --since @')) return { pass: false, detail: `journalctl ${await systemctl.journal()}` };
+
+    const bad = await post('/api/setup', {
+      port: 6682, weatherLocation: '', systemdServices: ['nginx.service'],
+      alerts: { rules: [
+        { metric: 'log_match', source: 'service', name: 'nginx.service', pattern: '(unclosed' },
+        { metric: 'log_match', name: 'nginx.service', pattern: 'x' },
+        { metric: 'cpu', threshold: 90, window: 5 },
+        { metric: 'log_match', source: 'service', name: 'other.service', pattern: 'x' }
+      ] }
+    });
+    const paths = (bad.json?.errors || []).map((e) => e.path).sort().join();
+    if (paths !== 'alerts.rules[0].pattern,alerts.rules[1].source,alerts.rules[2].window,alerts.rules[3].name') return { pass: false, detail: `errors at ${paths}` };
+    return { pass: true, detail: entry.lines.length + ' lines' };
+  } finally {
+    await inst.stop();
+    hook.server.close();
+    await systemctl.remove();
+  }
+});
+
+test(137, 'A streamed stack action is audited with its outcome when the client disconnects mid-run', async () => {
+  const daemon = await fakeDockerDaemon();
+  const docker = await fakeDockerCli();
+  const inst = await spawnInstance({ dockerContainers: ['project:media'] }, 6697, { ...daemon.env, PATH: docker.env.PATH });
+  try {
+    const started = Date.now();
+    // Hang up as soon as the first progress event arrives; compose pull is still running then
+    await new Promise((resolve, reject) => {
+      const payload = JSON.stringify({ project: 'media', action: 'pull' });
+      const req = http.request(`${inst.base}/api/action/docker-stack`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), Accept: 'text/event-stream' }
+      }, (res) => res.once('data', () => {
+        req.destroy();
+        resolve();
+      }));
+      req.on('error', reject);
+      req.end(payload);
+    });
+    let entry = null;
+    for (let i = 0; i < 20 && !entry; i++) {
+      await new Promise((r) => setTimeout(r, 250));
+      entry = ((await get(`${inst.base}/api/audit?action=stack&limit=20`)).json?.entries || [])
+        .find((e) => e.ts >= started && e.target === 'media' && e.params?.action === 'pull');
+    }
+    if (!entry) return { pass: false, detail: 'no audit entry for the aborted pull' };
+    if (!entry.ok || !/^\d\/2 running$/.test(entry.result)) return { pass: false, detail: `entry ${JSON.stringify(entry)}` };
+    return { pass: true, detail: `${entry.action} ${entry.target}: ${entry.result}` };
+  } finally {
+    await inst.stop();
+    await daemon.close();
+    await docker.remove();
+  }
+});
+
+test(138, 'Probes and certificates added by a config save are checked without a restart; removed certificates go', async () => {
+  const site = await listen(net.createServer((socket) => socket.end()));
+  const certs = await fakeLetsEncrypt();
+  const id = process.pid;
+  const inst = await spawnInstance({ metricsInterval: 1 }, 6698);
+  try {
+    const saved = await post(`${inst.base}/api/setup`, {
+      port: 6698, weatherLocation: '', metricsInterval: 1,
+      probes: [{ name: `late-${id}`, type: 'tcp', host: '127.0.0.1', port: site.port, interval: 5 }],
+      certificates: [{ name: 'late', path: path.join(certs.live, 'soon.test', 'cert.pem') }]
+    });
+    if (!saved.json?.ok) return { pass: false, detail: `save: ${saved.body}` };
+    let probe = null;
+    for (let i = 0; i < 20 && probe?.up == null; i++) {
+      await new Promise((r) => setTimeout(r, 250));
+      probe = ((await get(`${inst.base}/api/metrics`)).json?.probes || []).find((p) => p.name === `late-${id}`);
+    }
+    if (!probe?.up) return { pass: false, detail: `probe ${JSON.stringify(probe)}` };
+    const listed = (await get(`${inst.base}/api/metrics`)).json?.certificates || [];
+    if (listed.map((c) => `${c.name}:${c.subject}`).join() !== 'late:soon.test') return { pass: false, detail: `certificates ${JSON.stringify(listed)}` };
+
+    await post(`${inst.base}/api/setup`, { port: 6698, weatherLocation: '', metricsInterval: 1 });
+    let left = listed;
+    for (let i = 0; i < 20 && left.length; i++) {
+      await new Promise((r) => setTimeout(r, 250));
+      left = (await get(`${inst.base}/api/metrics`)).json?.certificates || [];
+    }
+    if (left.length) return { pass: false, detail: `removed certificate still listed: ${JSON.stringify(left)}` };
+    return { pass: true, detail: `late probe up in ${probe.ms} ms, certificate added and removed` };
+  } finally {
+    await inst.stop();
+    site.server.close();
+    await certs.remove();
+    await removeProbeHistory();
+  }
+});
+
+test(139, 'Config import rejects a malformed bundle with 400 and keeps serving', async () => {
+  const inst = await spawnInstance({ auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' } }, 6699);
+  const admin = basic('admin', 'pw-admin');
+  try {
+    const cases = {
+      'rule without metric': { port: 6699, alerts: { rules: [{ threshold: 3 }] } },
+      'numeric container': { port: 6699, dockerContainers: [5] },
+      'rules not a list': { port: 6699, alerts: { rules: 'cpu' } }
+    };
+    for (const [name, config] of Object.entries(cases)) {
+      const r = await post(`${inst.base}/api/config/import`, { pulseBundle: 1, secrets: 'included', config }, admin);
+      if (r.status !== 400 || !r.json?.errors?.length) return { pass: false, detail: `${name} → ${r.status} ${r.body}` };
+      const health = await get(`${inst.base}/api/health`);
+      if (health.status !== 200) return { pass: false, detail: `server down after ${name}` };
+    }
+    // A stripped bundle lacks users and webhook URLs by design; those are re-entered before saving
+    const stripped = {
+      pulseBundle: 1,
+      secrets: 'stripped',
+      config: { port: 6699, auth: { enabled: true }, alerts: { channels: [{ type: 'slack' }] } }
+    };
+    const ok = await post(`${inst.base}/api/config/import`, stripped, admin);
+    if (!ok.json?.ok) return { pass: false, detail: `stripped bundle → ${ok.status} ${ok.body}` };
+    const missing = (await post(`${inst.base}/api/config/import`, { ...stripped, secrets: 'included' }, admin)).json;
+    const paths = (missing?.errors || []).map((e) => e.path).sort().join();
+    if (paths !== 'alerts.channels[0].url,auth.users') return { pass: false, detail: `unstripped bundle errors: ${paths}` };
+    return { pass: true, detail: `${Object.keys(cases).length} malformed bundles → 400` };
+  } finally {
+    await inst.stop();
+  }
+});
+
+test(140, 'Removing the first of two id-less channels keeps the second one\'s own secret', async () => {
+  const inst = await spawnInstance({
+    auth: { enabled: true, basic: true, username: 'admin', password: 'pw-admin' },
+    alerts: { channels: [{ type: 'slack', url: 'https://hooks.slack.com/services/first-140' }, { type: 'slack', url: 'https://hooks.slack.com/services/second-140' }] }
+  }, 6700);
+  const admin = basic('admin', 'pw-admin');
+  try {
+    const r = await get(`${inst.base}/api/config`, admin);
+    const [, second] = r.json.alerts.channels;
+    if (second.url !== '__unchanged__') return { pass: false, detail: `not redacted: ${JSON.stringify(second)}` };
+
+    // Without the form's savedIndex there is nothing to pair it with — no guessing by position
+    const unpaired = await post(`${inst.base}/api/setup`, { ...r.json, weatherLocation: '', alerts: { ...r.json.alerts, channels: [second] } }, admin);
+    if (unpaired.status !== 400 || unpaired.json?.errors?.[0]?.path !== 'alerts.channels[0].url') {
+      return { pass: false, detail: `unpaired placeholder → ${unpaired.status} ${unpaired.body}` };
+    }
+
+    const save = await post(`${inst.base}/api/setup`, { ...r.json, weatherLocation: '', alerts: { ...r.json.alerts, channels: [{ ...second, savedIndex: 1 }] } }, admin);
+    if (!save.json?.ok) return { pass: false, detail: `save: ${save.status} ${save.body}` };
+    const saved = JSON.parse(await fs.promises.readFile(inst.file, 'utf8')).alerts.channels;
+    if (JSON.stringify(saved) !== JSON.stringify([{ type: 'slack', url: 'https://hooks.slack.com/services/second-140' }])) {
+      return { pass: false, detail: `saved channels ${JSON.stringify(saved)}` };
+    }
+    return { pass: true, detail: 'second channel kept its own URL' };
+  } finally {
+    await inst.stop();
+  }
+});
+
 // --- Frontend (4) ---
 
 test(73, 'HTML contains "Pulse" in content', async () => {